@@ -18,6 +18,7 @@
 
 module.exports = Enforcer;
 
+const bodyParsers           = require('./src/body-parsers');
 const dataTypeFormats       = require('./src/data-type-formats');
 const Exception             = require('./src/exception');
 const RefParser             = require('json-schema-ref-parser');
@@ -29,6 +30,7 @@ const util                  = require('./src/util');
  * Create an Enforcer instance.
  * @param {string, object} definition
  * @param {object} [options]
+ * @param {string} [options.ambiguousPaths='warn'] Set to "error", "warn", or "ignore" to control how paths that can match the same request are reported.
  * @param {boolean} [options.hideWarnings=false] Set to true to hide warnings from the console.
  * @param {boolean} [options.fullResult=false] Set to true to get back a full result object with the value, warnings, and errors.
  * @returns {Promise<OpenApiEnforcer>}
@@ -39,8 +41,10 @@ async function Enforcer(definition, options) {
 
     // normalize options
     options = Object.assign({}, options);
+    if (!options.hasOwnProperty('ambiguousPaths')) options.ambiguousPaths = 'warn';
     if (!options.hasOwnProperty('hideWarnings')) options.hideWarnings = false;
     if (!options.hasOwnProperty('fullResult')) options.fullResult = false;
+    if (!['error', 'ignore', 'warn'].includes(options.ambiguousPaths)) throw Error('Invalid ambiguousPaths option. Expected one of: error, ignore, warn. Received: ' + options.ambiguousPaths);
 
     const refParser = new RefParser();
     definition = util.copy(definition);
@@ -61,7 +65,7 @@ async function Enforcer(definition, options) {
             const validator = major === 2
                 ? Enforcer.v2_0.Swagger
                 : Enforcer.v3_0.OpenApi;
-            [ openapi, exception, warnings ] = validator(definition, refParser);
+            [ openapi, exception, warnings ] = validator(definition, refParser, options);
         }
     }
 
@@ -80,6 +84,10 @@ Enforcer.Enforcer = Enforcer;
 
 Enforcer.Exception = Exception;
 
+Enforcer.httpAdapter = require('./src/http-adapter');
+
+Enforcer.middleware = require('./src/middleware');
+
 Enforcer.Result = Result;
 
 Enforcer.toPlainObject = util.toPlainObject;
@@ -165,3 +173,9 @@ Enforcer.v3_0.Schema.defineDataTypeFormat('string', 'binary', dataTypeFormats.bi
 Enforcer.v3_0.Schema.defineDataTypeFormat('string', 'byte', dataTypeFormats.byte);
 Enforcer.v3_0.Schema.defineDataTypeFormat('string', 'date', dataTypeFormats.date);
 Enforcer.v3_0.Schema.defineDataTypeFormat('string', 'date-time', dataTypeFormats.dateTime);
+
+Enforcer.v3_0.RequestBody.defineBodyParser('application/json', bodyParsers.json);
+Enforcer.v3_0.RequestBody.defineBodyParser('application/octet-stream', bodyParsers.octetStream);
+Enforcer.v3_0.RequestBody.defineBodyParser('text/plain', bodyParsers.text);
+Enforcer.v3_0.RequestBody.defineBodyParser('application/xml', bodyParsers.xml);
+Enforcer.v3_0.RequestBody.defineBodyParser('text/xml', bodyParsers.xml);
@@ -0,0 +1,70 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const xml       = require('./xml');
+
+const rxInteger = /^\d+$/;
+const rxNumber = /^\d+(?:\.\d+)?$/;
+
+exports.json = function ({ exception, value }) {
+    try {
+        return JSON.parse(value.toString());
+    } catch (err) {
+        exception.message('Unable to parse JSON: ' + err.message);
+    }
+};
+
+exports.octetStream = function ({ schema, value }) {
+    if (schema.type === 'string' && schema.format === 'binary') {
+        return Buffer.isBuffer(value) ? value : Buffer.from(value, 'binary');
+    }
+    return value;
+};
+
+exports.primitive = primitive;
+
+exports.text = function ({ schema, value }) {
+    return primitive(value.toString(), schema);
+};
+
+exports.xml = function ({ exception, schema, value }) {
+    try {
+        return xml.parse(value.toString(), schema);
+    } catch (err) {
+        exception.message('Unable to parse XML: ' + err.message);
+    }
+};
+
+/**
+ * Convert a string into a boolean or number if the schema calls for it.
+ * @param {*} value
+ * @param {Schema} schema
+ * @returns {*}
+ */
+function primitive (value, schema) {
+    if (typeof value === 'string') {
+        if (schema.type === 'boolean') {
+            if (value === 'true') value = true;
+            if (!value || value === 'false') value = false;
+        } else if (schema.type === 'integer') {
+            if (rxInteger.test(value)) value = parseInt(value);
+        } else if (schema.type === 'number') {
+            if (rxNumber.test(value)) value = parseFloat(value);
+        }
+    }
+    return value;
+}
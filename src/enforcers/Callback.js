@@ -15,19 +15,77 @@
  *    limitations under the License.
  **/
 'use strict';
-const EnforcerRef  = require('../enforcer-ref');
+const EnforcerRef       = require('../enforcer-ref');
+const Exception         = require('../exception');
+const Result            = require('../result');
+const runtimeExpression = require('../runtime-expression');
+const util              = require('../util');
 
 module.exports = {
     init: function (data) {
 
     },
 
-    prototype: {},
+    prototype: {
+        /**
+         * Build and validate the request that is sent to a callback subscriber. The callback expression is evaluated
+         * against the original request and response to produce the url.
+         * @param {string} expression The callback expression, for example "{$request.body#/callbackUrl}".
+         * @param {string} method The callback operation method.
+         * @param {object} context The original request and response. See the runtime expression evaluate function.
+         * @param {object} [request] The callback request input. See Operation.buildRequest.
+         * @returns {EnforcerResult<{ body:*, headers:Object<string,string>, method:string, operation:Operation, path:string, query:string, url:string }>}
+         */
+        buildRequest: function (expression, method, context, request) {
+            const operation = getOperation(this, expression, method);
+            if (!util.isPlainObject(context)) throw Error('Invalid context. Expected a plain object. Received: ' + context);
+
+            const [ built, error ] = operation.buildRequest(request || {});
+            if (error) return new Result(undefined, error);
+
+            const exception = Exception('Unable to build callback request');
+            const [ url, urlError ] = runtimeExpression.evaluateTemplate(built.path, context);
+            if (urlError) {
+                exception.push(urlError);
+                return new Result(undefined, exception);
+            }
+
+            built.operation = operation;
+            built.url = url + (built.query ? '?' + built.query : '');
+            return new Result(built);
+        },
+
+        /**
+         * Parse, deserialize, and validate the response that the callback subscriber replied with.
+         * @param {string} expression The callback expression.
+         * @param {string} method The callback operation method.
+         * @param {object} response See Operation.parseResponse.
+         * @returns {EnforcerResult<{ body:*, headers:object, response:Response, statusCode:number }>}
+         */
+        parseResponse: function (expression, method, response) {
+            return getOperation(this, expression, method).parseResponse(response);
+        }
+    },
 
     validator: function () {
         return {
             type: 'object',
-            additionalProperties: EnforcerRef('PathItem')
+            additionalProperties: EnforcerRef('PathItem'),
+            errors: ({ definition, exception }) => {
+                Object.keys(definition).forEach(key => {
+                    runtimeExpression.getInvalidExpressions(key).forEach(expression => {
+                        exception.at(key).message('Invalid runtime expression: ' + expression);
+                    });
+                });
+            }
         };
     }
-};
\ No newline at end of file
+};
+
+function getOperation(callback, expression, method) {
+    const pathItem = callback.hasOwnProperty(expression) ? callback[expression] : undefined;
+    if (!pathItem) throw Error('Invalid expression. Expected one of: ' + Object.keys(callback).join(', ') + '. Received: ' + expression);
+    method = typeof method === 'string' ? method.toLowerCase() : method;
+    if (!pathItem.methods.includes(method)) throw Error('Invalid method. Expected one of: ' + pathItem.methods.join(', ') + '. Received: ' + method);
+    return pathItem[method];
+}
@@ -30,7 +30,10 @@ module.exports = {
             properties: {
                 summary: { type: 'string' },
                 description: { type: 'string' },
-                value: { allowed: true },
+                value: {
+                    allowed: true,
+                    freeForm: true
+                },
                 externalValue: { type: 'string' }
             },
             errors: ({ exception, definition }) => {
@@ -33,6 +33,48 @@ module.exports = {
     },
 
     prototype: {
+        /**
+         * Parse a header string value into its primitive, array, or object parts.
+         * @param {string} value
+         * @returns {EnforcerResult}
+         */
+        parse: function (value) {
+            const { major } = this.enforcerData;
+            const schema = this.schema;
+
+            const exception = Exception('Unable to parse value');
+
+            if (major === 2) {
+                return new Result(v2Parse(this, exception, value), exception);
+
+            } else if (major === 3) {
+                const type = schema && schema.type;
+                let result;
+                if (type === 'array') {
+                    result = value
+                        .split(',')
+                        .map((value, index) => parsePrimitive(schema.items, exception.at(index), value));
+                } else if (type === 'object') {
+                    const array = this.explode
+                        ? value.split(',').reduce((p, pair) => p.concat(pair.split('=')), [])
+                        : value.split(',');
+                    result = {};
+                    for (let i = 0; i < array.length; i += 2) {
+                        const key = array[i];
+                        const subSchema = schema.properties && schema.properties.hasOwnProperty(key)
+                            ? schema.properties[key]
+                            : schema.additionalProperties;
+                        result[key] = subSchema && subSchema !== true
+                            ? parsePrimitive(subSchema, exception.at(key), array[i + 1])
+                            : array[i + 1];
+                    }
+                } else {
+                    result = parsePrimitive(schema, exception, value);
+                }
+                return new Result(result, exception);
+            }
+        },
+
         stringify: function (value) {
             const { major } = this.enforcerData;
             const schema = this.schema;
@@ -106,6 +148,22 @@ module.exports = {
     }
 };
 
+function parsePrimitive(schema, exception, value) {
+    if (schema.type === 'boolean') {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        exception.message('Expected "true" or "false". Received: ' + value);
+
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+        const num = +value;
+        if (value && !isNaN(num)) return num;
+        exception.message('Expected ' + (schema.type === 'integer' ? 'an integer' : 'a number') + '. Received: ' + value);
+
+    } else {
+        return value;
+    }
+}
+
 function stringifyPrimitive(header, schema, exception, value) {
     if (value === undefined) {
         if (header.allowEmptyValue) return '';
@@ -133,6 +191,17 @@ function stringifyPrimitive(header, schema, exception, value) {
     }
 }
 
+function v2Parse(header, exception, value) {
+    if (header.type === 'array') {
+        const delimiter = { csv: ',', pipes: '|', ssv: ' ', tsv: '\t' }[header.collectionFormat];
+        return value
+            .split(delimiter)
+            .map((value, index) => header.items ? v2Parse(header.items, exception.at(index), value) : value);
+    } else {
+        return parsePrimitive(header, exception, value);
+    }
+}
+
 function v2Stringify(parameter, schema, exception, value) {
     if (schema.type === 'array') {
         const values = value.map((value, index) => schema.items ? v2Stringify(parameter, schema.items, exception.at(index), value) : value);
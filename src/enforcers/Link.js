@@ -15,14 +15,71 @@
  *    limitations under the License.
  **/
 'use strict';
-const EnforcerRef  = require('../enforcer-ref');
+const EnforcerRef       = require('../enforcer-ref');
+const Exception         = require('../exception');
+const Result            = require('../result');
+const runtimeExpression = require('../runtime-expression');
+const util              = require('../util');
+
+const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const rxQualifiedName = /^(path|query|header|cookie)\.(.+)$/;
 
 module.exports = {
     init: function (data) {
 
     },
 
-    prototype: {},
+    prototype: {
+        /**
+         * Find the linked operation and evaluate the link's parameters and request body against a request and response.
+         * @param {object} context The request and response. See the runtime expression evaluate function.
+         * @returns {EnforcerResult<{ operation:Operation, request:object, server:Server }>} The request can be passed to the operation's buildRequest function.
+         */
+        resolve: function (context) {
+            if (!util.isPlainObject(context)) throw Error('Invalid context. Expected a plain object. Received: ' + context);
+
+            const exception = Exception('Unable to resolve link');
+            const target = findTarget(this.enforcerData.root.result, this);
+            if (!target) {
+                exception.message(this.hasOwnProperty('operationRef')
+                    ? 'Unable to resolve the operationRef: ' + this.operationRef
+                    : 'No operation exists with the operationId: ' + this.operationId);
+                return new Result(undefined, exception);
+            }
+
+            const operation = target.operation;
+            const request = { cookie: {}, headers: {}, path: {}, query: {} };
+            const parameters = this.parameters || {};
+            Object.keys(parameters).forEach(key => {
+                const parameter = findParameter(operation.allParameters, key);
+                if (!parameter) {
+                    exception.at('parameters').at(key).message('The linked operation does not define the parameter: ' + key);
+                } else {
+                    const [ value, error ] = evaluateValue(parameters[key], context);
+                    if (error) {
+                        exception.at('parameters').at(key).push(error);
+                    } else if (parameter.in === 'header') {
+                        request.headers[parameter.name.toLowerCase()] = value;
+                    } else {
+                        request[parameter.in][parameter.name] = value;
+                    }
+                }
+            });
+
+            if (this.hasOwnProperty('requestBody')) {
+                const [ value, error ] = evaluateValue(this.requestBody, context);
+                if (error) {
+                    exception.at('requestBody').push(error);
+                } else {
+                    request.body = value;
+                }
+            }
+
+            const result = { operation, request };
+            if (this.server) result.server = this.server;
+            return new Result(result, exception);
+        }
+    },
 
     validator: function (data) {
         return {
@@ -39,16 +96,90 @@ module.exports = {
                 },
                 parameters: {
                     type: 'object',
-                    additionalProperties: true
+                    additionalProperties: true,
+                    errors: ({ definition, exception }) => {
+                        Object.keys(definition).forEach(key => {
+                            runtimeExpression.getInvalidExpressions(definition[key]).forEach(expression => {
+                                exception.at(key).message('Invalid runtime expression: ' + expression);
+                            });
+                        });
+                    }
+                },
+                requestBody: {
+                    freeForm: true,
+                    errors: ({ definition, exception }) => {
+                        runtimeExpression.getInvalidExpressions(definition).forEach(expression => {
+                            exception.message('Invalid runtime expression: ' + expression);
+                        });
+                    }
                 },
-                requestBody: {},
                 server: EnforcerRef('Server')
             },
-            errors: ({ definition, exception }) => {
+            errors: ({ definition, exception, root }) => {
                 if (definition.hasOwnProperty('operationRef') && definition.hasOwnProperty('operationId')) {
                     exception.message('Must not define both operationId and operationRef');
+                    return;
+                }
+
+                // the linked operation can only be verified within a complete document
+                if (!root.definition || !root.definition.paths) return;
+
+                let target;
+                if (definition.hasOwnProperty('operationId')) {
+                    target = findTarget(root.definition, definition);
+                    if (!target) exception.at('operationId').message('No operation exists with the operationId: ' + definition.operationId);
+                } else if (definition.hasOwnProperty('operationRef') && definition.operationRef[0] === '#') {
+                    target = findTarget(root.definition, definition);
+                    if (!target) exception.at('operationRef').message('Unable to resolve the operationRef: ' + definition.operationRef);
+                }
+
+                if (target && definition.parameters) {
+                    const parameters = (target.pathItem.parameters || []).concat(target.operation.parameters || []);
+                    Object.keys(definition.parameters).forEach(key => {
+                        if (!findParameter(parameters, key)) {
+                            exception.at('parameters').at(key).message('The linked operation does not define the parameter: ' + key);
+                        }
+                    });
                 }
             }
         }
     }
 };
+
+function evaluateValue(value, context) {
+    if (typeof value === 'string' && value[0] === '$') return runtimeExpression.evaluate(value, context);
+    if (typeof value === 'string' && value.includes('{$')) return runtimeExpression.evaluateTemplate(value, context);
+    return new Result(value);
+}
+
+// find a parameter by its name or by its location qualified name, for example "path.id"
+function findParameter(parameters, key) {
+    const match = rxQualifiedName.exec(key);
+    return parameters.find(parameter => isNamed(parameter, key)) ||
+        (match && parameters.find(parameter => parameter.in === match[1] && isNamed(parameter, match[2])));
+}
+
+// find the operation and path item for a link within a document definition or an OpenApi object
+function findTarget(root, link) {
+    const paths = (root && root.paths) || {};
+    if (link.hasOwnProperty('operationId')) {
+        const pathKeys = Object.keys(paths);
+        for (let i = 0; i < pathKeys.length; i++) {
+            const pathItem = paths[pathKeys[i]];
+            const method = methods.find(method => pathItem[method] && pathItem[method].operationId === link.operationId);
+            if (method) return { operation: pathItem[method], pathItem };
+        }
+    } else if (link.hasOwnProperty('operationRef') && link.operationRef[0] === '#') {
+        const pointer = link.operationRef.substr(1);
+        const index = pointer.lastIndexOf('/');
+        const pathItem = runtimeExpression.resolvePointer(root, pointer.substr(0, index));
+        const method = pointer.substr(index + 1);
+        if (pathItem && methods.includes(method) && pathItem[method]) return { operation: pathItem[method], pathItem };
+    }
+}
+
+function isNamed(parameter, name) {
+    return parameter.in === 'header'
+        ? parameter.name.toLowerCase() === name.toLowerCase()
+        : parameter.name === name;
+}
@@ -41,7 +41,10 @@ module.exports = {
                         }
                     }
                 },
-                example: { allowed: true },
+                example: {
+                    allowed: true,
+                    freeForm: true
+                },
                 examples: {
                     type: 'object',
                     additionalProperties: EnforcerRef('Example')
@@ -20,31 +20,276 @@ const Exception     = require('../exception');
 const Result        = require('../result');
 const util          = require('../util');
 
+const rxContentType = /^content-type$/i;
 const rxHostParts = /^((?:https?|wss?):\/\/)?(.+?)(\/.+)?$/;
+const rxMockCode = /^(?:[1-5](?:\d{2}|XX)|default)$/i;
 const rxSemanticVersion = /^\d+\.\d+\.\d+$/;
 
 module.exports = {
     init: function (data) {
-
+        // index the operations so that they can be found without walking the paths
+        const operations = [];
+        const operationIdMap = {};
+        const paths = this.paths || {};
+        Object.keys(paths).forEach(path => {
+            const pathItem = paths[path];
+            pathItem.methods.forEach(method => {
+                const operation = pathItem[method];
+                operations.push({ method, operation, path, pathItem });
+                if (operation.operationId) operationIdMap[operation.operationId] = operation;
+            });
+        });
+        data.operations = operations;
+        data.operationIdMap = operationIdMap;
+        delete data.__operationIdMap;
     },
 
     prototype: {
+        /**
+         * Build the url path for the operation that has the operationId. See Operation.buildPath.
+         * @param {string} operationId
+         * @param {object} [params={}] A map of path parameter names to values.
+         * @returns {EnforcerResult<string>}
+         */
+        buildPath: function (operationId, params) {
+            const operation = this.getOperationById(operationId);
+            if (!operation) {
+                const exception = Exception('Unable to build path');
+                exception.message('No operation exists with the operationId: ' + operationId);
+                return new Result(undefined, exception);
+            }
+            return operation.buildPath(params);
+        },
+
+        /**
+         * Create a client that has one async function per operationId. Every operation, including those without an
+         * operationId, is also available through the client's paths object by path and method. Each function takes a
+         * map of parameter names to values and the request body, builds the request, sends it with the transport, and
+         * then parses the response.
+         * @param {object} options
+         * @param {function} options.transport A function that receives the built request and returns a response object, or a Promise that resolves to one, with the properties statusCode, headers, and body.
+         * @param {string} [options.baseUrl=''] The url to prepend to the path when producing the request url.
+         * @returns {object}
+         * @throws {Error} If an operationId is "paths" because it would replace the client's paths object.
+         */
+        createClient: function (options) {
+            if (!util.isPlainObject(options)) throw Error('Invalid options. Expected a plain object. Received: ' + options);
+            if (typeof options.transport !== 'function') throw Error('Invalid transport. Expected a function. Received: ' + options.transport);
+            if (options.hasOwnProperty('baseUrl') && typeof options.baseUrl !== 'string') throw Error('Invalid baseUrl. Expected a string. Received: ' + options.baseUrl);
+
+            if (this.enforcerData.operationIdMap.hasOwnProperty('paths')) throw Error('Unable to create client. The operationId "paths" conflicts with the client\'s paths object');
+
+            const baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+            const transport = options.transport;
+            const client = {};
+            const paths = {};
+
+            Object.keys(this.paths).forEach(path => {
+                const pathItem = this.paths[path];
+                paths[path] = {};
+                pathItem.methods.forEach(method => {
+                    const operation = pathItem[method];
+                    const fn = (parameters, body) => sendClientRequest(operation, transport, baseUrl, parameters, body);
+                    paths[path][method] = fn;
+                    if (operation.operationId) client[operation.operationId] = fn;
+                });
+            });
+            client.paths = paths;
+
+            return client;
+        },
+
+        /**
+         * Get the operation that has the operationId.
+         * @param {string} operationId
+         * @returns {Operation|undefined}
+         */
+        getOperationById: function (operationId) {
+            if (typeof operationId !== 'string') throw Error('Invalid operationId. Expected a string. Received: ' + operationId);
+            const { operationIdMap } = this.enforcerData;
+            return operationIdMap.hasOwnProperty(operationId) ? operationIdMap[operationId] : undefined;
+        },
+
+        /**
+         * Get the operations that have the tag, in the order that they are defined.
+         * @param {string} tag
+         * @returns {Operation[]}
+         */
+        getOperationsByTag: function (tag) {
+            if (typeof tag !== 'string') throw Error('Invalid tag. Expected a string. Received: ' + tag);
+            return this.enforcerData.operations
+                .filter(({ operation }) => operation.tags && operation.tags.includes(tag))
+                .map(({ operation }) => operation);
+        },
+
+        /**
+         * Get every concrete url for the servers defined at the root, path, and operation levels. Server url
+         * variables are replaced with their default and enum values. For v2 the urls are produced from the schemes,
+         * host, and basePath.
+         * @returns {string[]}
+         */
+        getServerUrls: function () {
+            if (this.enforcerData.major === 2) {
+                const basePath = this.basePath || '/';
+                if (!this.host) return [basePath];
+                return this.schemes && this.schemes.length
+                    ? this.schemes.map(scheme => scheme + '://' + this.host + basePath)
+                    : ['//' + this.host + basePath];
+            }
+
+            const urls = [];
+            getAllServers(this).forEach(server => {
+                expandServerUrl(server).forEach(url => {
+                    if (!urls.includes(url)) urls.push(url);
+                });
+            });
+            return urls;
+        },
+
+        /**
+         * Produce a mock response for a request using the response examples or randomly generated values.
+         * @param {object} request
+         * @param {Object<string,string>} [request.headers={}] The request headers
+         * @param {string} [request.method='get']
+         * @param {string} request.path
+         * @param {object} [options]
+         * @param {string} [options.example] The name of the example to use. Overrides the x-mock-example header and mockExample query parameter.
+         * @param {boolean} [options.matchServers=false] Strip the v2 basePath or the path of a matching v3 server url from the request path before finding the operation.
+         * @param {object} [options.randomOptions] Options to pass to Schema.random.
+         * @param {string|number} [options.statusCode] The response code to use. Overrides the x-mock-status header and mockStatus query parameter.
+         * @returns {EnforcerResult<{ body:*, code:number, headers:object, operation: Operation }>}
+         */
+        mock: function (request, options) {
+            if (!request || typeof request !== 'object') throw Error('Invalid request. Expected a non-null object. Received: ' + request);
+            if (request.hasOwnProperty('headers') && !util.isObjectStringMap(request.headers)) throw Error('Invalid request headers. Expected an object with string keys and string values');
+            if (request.hasOwnProperty('method') && typeof request.method !== 'string') throw Error('Invalid request method. Expected a string');
+            if (typeof request.path !== 'string') throw Error('Invalid request path. Expected a string');
+
+            if (!options) options = {};
+            if (typeof options !== 'object') throw Error('Invalid options. Expected an object. Received: ' + options);
+
+            const method = request.method || 'get';
+            const [ pathObject, error ] = this.path(method, request.path, options);
+            if (error) return new Result(undefined, error);
+
+            // determine mock controls from the options, headers, and query string
+            const headers = util.lowerCaseObjectProperties(request.headers || {});
+            const query = util.parseQueryString(request.path.split('?')[1] || '');
+            const getControl = (option, header, key) => {
+                if (options.hasOwnProperty(option)) return String(options[option]);
+                if (headers.hasOwnProperty(header)) return headers[header];
+                if (query.hasOwnProperty(key)) return query[key][query[key].length - 1];
+            };
+
+            const operation = pathObject.operation;
+            const exception = Exception('Unable to produce mock response');
+            exception.statusCode = 400;
+
+            // determine the response code
+            const statusCode = getControl('statusCode', 'x-mock-status', 'mockStatus');
+            if (statusCode !== undefined && !rxMockCode.test(statusCode)) {
+                exception.message('Invalid response code: ' + statusCode + '. Expected a three digit code, a range like 2XX, or default');
+                return new Result(undefined, exception);
+            }
+            const code = getMockCode(operation, statusCode);
+            if (code === undefined) {
+                exception.message(statusCode === undefined
+                    ? 'Unable to determine a response code for the operation'
+                    : 'Response code not defined for the operation: ' + statusCode);
+                return new Result(undefined, exception);
+            }
+            const response = operation.responses.findMatch(code);
+
+            // determine the content type
+            const responseHeaders = {};
+            const [ matches, matchError ] = operation.getResponseContentTypeMatches(code, headers.accept || '*/*');
+            if (matchError && matchError.code === 'NO_MATCH') {
+                exception.message('None of the acceptable media types are produced: ' + headers.accept);
+                exception.statusCode = 406;
+                return new Result(undefined, exception);
+            }
+            const contentType = matches && matches.length ? matches[0] : undefined;
+            if (contentType) responseHeaders['content-type'] = contentType;
+
+            // determine the body
+            const [ body, bodyError ] = getMockBody(response, contentType, getControl('example', 'x-mock-example', 'mockExample'), options.randomOptions);
+            if (bodyError) return new Result(undefined, bodyError);
+
+            // generate the response headers
+            if (response.headers) {
+                Object.keys(response.headers).forEach(key => {
+                    const schema = response.headers[key].schema;
+                    if (schema && !rxContentType.test(key)) {
+                        const [ value ] = schema.random(undefined, options.randomOptions);
+                        if (value !== undefined) responseHeaders[key.toLowerCase()] = value;
+                    }
+                });
+            }
+
+            const [ value, err ] = operation.response(code, body, responseHeaders, { stripWriteOnly: true });
+            if (err) {
+                exception.push(err);
+                exception.statusCode = 500;
+                return new Result(undefined, exception);
+            }
+            if (contentType && value.body !== undefined) value.headers['content-type'] = contentType;
+            return new Result({
+                body: value.body,
+                code: code === 'default' ? 200 : +code,
+                headers: value.headers,
+                operation
+            });
+        },
+
+        /**
+         * Get an iterator for every operation, in the order that the paths and methods are defined.
+         * @returns {Iterator<{ method: string, operation: Operation, path: string, pathItem: PathItem }>}
+         */
+        operations: function* () {
+            for (const item of this.enforcerData.operations) yield Object.assign({}, item);
+        },
+
         /**
          * Get path parameters and operation from a method and path.
          * @param {string} method
          * @param {string} path
-         * @returns {EnforcerResult<{operation:OperationEnforcer, params:Object}>}
+         * @param {object} [options]
+         * @param {boolean} [options.caseInsensitive=false] Match the static parts of the path without regard to case.
+         * @param {boolean} [options.decodePathParameters=false] Percent-decode the path parameter values.
+         * @param {boolean} [options.matchServers=false] Strip the v2 basePath or the path of a matching v3 server url from the path before finding the operation.
+         * @param {string} [options.trailingSlash='ignore'] Set to "ignore" to match paths with or without a trailing slash, "strict" to require the trailing slash to match the definition, or "redirect" to produce a 308 error with the suggested path in the Location header.
+         * @returns {EnforcerResult<{operation:OperationEnforcer, params:Object, server:Server}>}
          */
-        path: function (method, path) {
+        path: function (method, path, options) {
+            if (!options) options = {};
+            if (typeof options !== 'object') throw Error('Invalid options. Expected an object. Received: ' + options);
+            const trailingSlash = options.trailingSlash || 'ignore';
+            if (!['ignore', 'redirect', 'strict'].includes(trailingSlash)) throw Error('Invalid trailingSlash option. Expected one of: ignore, redirect, strict. Received: ' + options.trailingSlash);
+
             const exception = Exception('Request has one or more errors');
-            path = util.edgeSlashes(path.split('?')[0], true, false);
+            const [ pathString, query ] = path.split('?');
+            path = util.edgeSlashes(pathString, true, pathString.length > 1 && pathString[pathString.length - 1] === '/');
             method = method.toLowerCase();
+            if (options.matchServers) return matchServerPath(this, method, path, query, options);
 
             // find the path that matches the request
-            const pathMatch = this.paths.findMatch(path);
+            const caseInsensitive = !!options.caseInsensitive;
+            const pathMatch = this.paths.findMatch(path, {
+                caseInsensitive,
+                trailingSlash: trailingSlash === 'ignore' ? 'ignore' : 'strict'
+            });
             if (!pathMatch) {
-                exception.message('Path not found');
-                exception.statusCode = 404;
+                // suggest the path with the trailing slash added or removed if that path exists
+                if (trailingSlash === 'redirect' && this.paths.findMatch(path, { caseInsensitive })) {
+                    const location = (path[path.length - 1] === '/' ? path.slice(0, -1) : path + '/') +
+                        (query !== undefined ? '?' + query : '');
+                    exception.message('Path not found. Redirect to: ' + location);
+                    exception.statusCode = 308;
+                    exception.headers = { Location: location };
+                } else {
+                    exception.message('Path not found');
+                    exception.statusCode = 404;
+                }
                 return new Result(undefined, exception);
             }
 
@@ -53,13 +298,30 @@ module.exports = {
             if (!pathEnforcer.methods.includes(method)) {
                 exception.message('Method not allowed: ' + method.toUpperCase());
                 exception.statusCode = 405;
-                exception.header = { Allow: pathEnforcer.methods.map(v => v.toUpperCase()).join(', ') };
+                exception.headers = { Allow: pathEnforcer.methods.map(v => v.toUpperCase()).join(', ') };
                 return new Result(undefined, exception);
             }
 
+            // decode the path parameter values
+            const params = pathMatch.params;
+            if (options.decodePathParameters) {
+                const decodeException = exception.nest('Unable to decode path parameters');
+                Object.keys(params).forEach(name => {
+                    try {
+                        params[name] = decodeURIComponent(params[name]);
+                    } catch (err) {
+                        decodeException.at(name).message('Invalid percent-encoding: ' + params[name]);
+                    }
+                });
+                if (exception.hasException) {
+                    exception.statusCode = 400;
+                    return new Result(undefined, exception);
+                }
+            }
+
             return new Result({
                 operation: pathEnforcer[method],
-                params: pathMatch.params
+                params
             });
         },
 
@@ -72,7 +334,15 @@ module.exports = {
          * @param {string} [request.path='/']
          * @param {object} [options]
          * @param {boolean,string[]} [options.allowOtherQueryParameters=false] Allow query parameter data that is not specified in the OAS document
-         * @returns {EnforcerResult<{ body:*, cookie:object, headers:object, operation: Operation, path:object, query:object, response:function }>}
+         * @param {boolean} [options.caseInsensitive=false] Match the static parts of the path without regard to case.
+         * @param {boolean} [options.decodePathParameters=false] Percent-decode the path parameter values before they are parsed.
+         * @param {boolean} [options.matchServers=false] Strip the v2 basePath or the path of a matching v3 server url from the request path before finding the operation.
+         * @param {boolean} [options.stripReadOnly=false] Remove read only properties from the body instead of producing an error.
+         * @param {string} [options.trailingSlash='ignore'] The trailing slash policy: "ignore", "strict", or "redirect". See the path function.
+         * @param {boolean} [options.validateAccept=false] Produce a 406 error if the accept header cannot be satisfied by any of the operation's responses.
+         * @param {boolean} [options.validateSecurity=false] Require that at least one security requirement be satisfied by the request.
+         * @param {function} [options.verifySecurity] A function that receives a satisfied security requirement's credentials and returns a boolean or a Promise that resolves to a boolean.
+         * @returns {EnforcerResult<{ body:*, contentType:string, cookie:object, headers:object, operation: Operation, path:object, query:object, response:function, security:object, server:Server }>|Promise<EnforcerResult>}
          */
         request: function (request, options) {
             // validate input parameters
@@ -87,15 +357,16 @@ module.exports = {
             if (typeof options !== 'object') throw Error('Invalid options. Expected an object. Received: ' + options);
             options = Object.assign({}, options);
             if (!options.hasOwnProperty('allowOtherQueryParameters')) options.allowOtherQueryParameters = false;
+            if (!options.hasOwnProperty('matchServers')) options.matchServers = false;
+            if (!options.hasOwnProperty('validateAccept')) options.validateAccept = false;
 
             const method = request.hasOwnProperty('method') ? request.method.toLowerCase() : 'get';
-            const [ pathString, query ] = request.path.split('?');
-            const path = util.edgeSlashes(pathString, true, false);
-            const [ pathObject, error ] = this.path(method, path);
+            const query = request.path.split('?')[1];
+            const [ pathObject, error ] = this.path(method, request.path, options);
             if (error) return new Result(undefined, error);
 
             // set up request input
-            const { operation, params } = pathObject;
+            const { operation, params, server } = pathObject;
             const req = {
                 headers: request.headers || {},
                 path: params,
@@ -103,19 +374,28 @@ module.exports = {
             };
             if (request.hasOwnProperty('body')) req.body = request.body;
 
-            const result = operation.request(req, options);
-            if (result.value) {
-                result.value.operation = operation;
-                result.value.response = (code, body, headers = {}) => {
-                    headers = util.lowerCaseObjectProperties(headers);
-                    if (!headers['content-type'] && req.headers.accept) {
-                        const matches = operation.getResponseContentTypeMatches(code, req.headers.accept);
-                        if (matches.length) headers['content-type'] = matches[0];
-                    }
-                    return operation.response(code, body, headers)
+            // negotiate the response content type using all of the operation's responses
+            let contentType;
+            const accept = util.lowerCaseObjectProperties(req.headers).accept;
+            if (accept) {
+                const producible = getProducibleTypes(operation);
+                const matches = util.findMediaMatch(accept, producible);
+                if (matches.length) {
+                    contentType = matches[0];
+                } else if (options.validateAccept && producible.length) {
+                    const exception = Exception('Request has one or more errors');
+                    exception.message('Not acceptable: ' + accept + '. Producible types: ' + producible.join(', '));
+                    exception.statusCode = 406;
+                    return new Result(undefined, exception);
                 }
             }
-            return result;
+
+            const result = operation.request(req, options);
+            if (typeof result.then === 'function') {
+                return result.then(result => requestResult(result, operation, req, contentType, server));
+            } else {
+                return requestResult(result, operation, req, contentType, server);
+            }
         }
     },
 
@@ -257,4 +537,269 @@ module.exports = {
             }
         }
     }
-};
\ No newline at end of file
+};
+
+function requestResult(result, operation, req, contentType, server) {
+    if (result.value) {
+        const accept = util.lowerCaseObjectProperties(req.headers).accept;
+        if (contentType) result.value.contentType = contentType;
+        if (server) result.value.server = server;
+        result.value.operation = operation;
+        result.value.response = (code, body, headers = {}, options) => {
+            headers = util.lowerCaseObjectProperties(headers);
+
+            // use the negotiated content type if the response code produces it, otherwise negotiate for the code
+            if (!headers['content-type'] && accept) {
+                const [ negotiated ] = contentType ? operation.getResponseContentTypeMatches(code, contentType) : [];
+                if (negotiated && negotiated.length) {
+                    headers['content-type'] = contentType;
+                } else {
+                    const [ matches ] = operation.getResponseContentTypeMatches(code, accept);
+                    if (matches && matches.length) headers['content-type'] = matches[0];
+                }
+            }
+            return operation.response(code, body, headers, options)
+        }
+    }
+    return result;
+}
+
+/**
+ * Build the request for an operation from named parameters, send it with the transport, and parse the response.
+ * @param {Operation} operation
+ * @param {function} transport
+ * @param {string} baseUrl
+ * @param {object} [parameters={}] A map of parameter names to values.
+ * @param {*} [body]
+ * @returns {Promise<EnforcerResult<object>>}
+ */
+async function sendClientRequest(operation, transport, baseUrl, parameters, body) {
+    if (parameters === undefined) parameters = {};
+    if (!util.isPlainObject(parameters)) throw Error('Invalid parameters. Expected a plain object. Received: ' + parameters);
+
+    // distribute the named parameters to their locations, unknown names are left for the query to report
+    const map = operation.parametersMap;
+    const input = { cookie: {}, headers: {}, path: {}, query: {} };
+    const formData = {};
+    Object.keys(parameters).forEach(name => {
+        const value = parameters[name];
+        if (map.path && map.path.hasOwnProperty(name)) {
+            input.path[name] = value;
+        } else if (map.query && map.query.hasOwnProperty(name)) {
+            input.query[name] = value;
+        } else if (map.header && map.header.hasOwnProperty(name.toLowerCase())) {
+            input.headers[name.toLowerCase()] = value;
+        } else if (map.cookie && map.cookie.hasOwnProperty(name)) {
+            input.cookie[name] = value;
+        } else if (map.formData && map.formData.hasOwnProperty(name)) {
+            formData[name] = value;
+        } else {
+            input.query[name] = value;
+        }
+    });
+    if (body !== undefined) {
+        input.body = body;
+    } else if (Object.keys(formData).length) {
+        input.body = formData;
+    }
+
+    const [ request, error ] = operation.buildRequest(input);
+    if (error) return new Result(undefined, error);
+
+    request.operation = operation;
+    request.url = baseUrl + request.path + (request.query ? '?' + request.query : '');
+    const response = await transport(request);
+    return operation.parseResponse(response);
+}
+
+/**
+ * Get the path portion of a server url without a trailing slash.
+ * @param {string} url
+ * @returns {string}
+ */
+function getServerUrlPath(url) {
+    const path = url
+        .replace(/^(?:[a-z][a-z0-9+.\-]*:)?\/\/[^\/]*/i, '')
+        .replace(/[?#].*$/, '');
+    return util.edgeSlashes(path, true, false).replace(/\/$/, '');
+}
+
+/**
+ * Get every server defined at the root, path, and operation levels.
+ * @param {OpenApi} openapi
+ * @returns {Server[]}
+ */
+function getAllServers(openapi) {
+    const servers = (openapi.servers || []).slice(0);
+    Object.keys(openapi.paths).forEach(key => {
+        const pathItem = openapi.paths[key];
+        if (pathItem.servers) servers.push.apply(servers, pathItem.servers);
+        pathItem.methods.forEach(method => {
+            if (pathItem[method].servers) servers.push.apply(servers, pathItem[method].servers);
+        });
+    });
+    return servers.filter((server, index) => servers.indexOf(server) === index);
+}
+
+/**
+ * Expand a server url template into every url that its variable defaults and enums allow.
+ * @param {Server} server
+ * @returns {string[]}
+ */
+function expandServerUrl(server) {
+    const variables = server.variables || {};
+    let urls = [server.url];
+    Object.keys(variables).forEach(name => {
+        const variable = variables[name];
+        const values = [variable.default].concat(variable.enum || [])
+            .filter((value, index, values) => values.indexOf(value) === index);
+        const next = [];
+        urls.forEach(url => values.forEach(value => next.push(url.split('{' + name + '}').join(value))));
+        urls = next;
+    });
+    return urls;
+}
+
+/**
+ * Find the operation for a request path that begins with the v2 basePath or the path of a v3 server url. For v3,
+ * the server must be one of the servers that apply to the operation.
+ * @param {OpenApi} openapi
+ * @param {string} method
+ * @param {string} path
+ * @param {string} [query] The query string, without the leading question mark.
+ * @param {object} [options] Options to pass to OpenApi.path.
+ * @returns {EnforcerResult<{operation:OperationEnforcer, params:Object, server:Server}>}
+ */
+function matchServerPath(openapi, method, path, query, options) {
+    const candidates = [];
+    if (openapi.enforcerData.major === 2) {
+        candidates.push({ prefix: getServerUrlPath(openapi.basePath || '/') });
+    } else {
+        getAllServers(openapi).forEach(server => {
+            expandServerUrl(server).forEach(url => candidates.push({ prefix: getServerUrlPath(url), server }));
+        });
+
+        // without root servers the default server url is "/"
+        if (!openapi.servers || !openapi.servers.length) candidates.push({ prefix: '' });
+    }
+
+    // try the longest prefixes first
+    candidates.sort((a, b) => b.prefix.length - a.prefix.length);
+
+    let result;
+    for (let i = 0; i < candidates.length; i++) {
+        const { prefix, server } = candidates[i];
+        if (path !== prefix && !path.startsWith(prefix + '/')) continue;
+
+        const subPath = (path.substr(prefix.length) || '/') + (query !== undefined ? '?' + query : '');
+        const [ value, error ] = openapi.path(method, subPath, Object.assign({}, options, { matchServers: false }));
+        if (error) {
+            if (error.headers && error.headers.Location) error.headers.Location = prefix + error.headers.Location;
+            if (!result) result = new Result(undefined, error);
+        } else {
+            const operation = value.operation;
+            const servers = operation.servers || operation.enforcerData.parent.result.servers || openapi.servers || [];
+            if (!server ? !servers.length : servers.includes(server)) {
+                return new Result({ operation, params: value.params, server });
+            }
+        }
+    }
+
+    if (result) return result;
+    const exception = Exception('Request has one or more errors');
+    exception.message('Path not found');
+    exception.statusCode = 404;
+    return new Result(undefined, exception);
+}
+
+/**
+ * Get every content type that the operation's responses can produce.
+ * @param {OperationEnforcer} operation
+ * @returns {string[]}
+ */
+function getProducibleTypes(operation) {
+    if (operation.produces) return operation.produces.slice(0);
+    const types = [];
+    const responses = operation.responses || {};
+    Object.keys(responses).forEach(code => {
+        const content = responses[code] && responses[code].content;
+        if (content) {
+            Object.keys(content).forEach(type => {
+                if (!types.includes(type)) types.push(type);
+            });
+        }
+    });
+    return types;
+}
+
+function getMockBody(response, contentType, exampleName, randomOptions) {
+    const exception = Exception('Unable to produce mock response');
+    exception.statusCode = 400;
+
+    let schema;
+    if (response.content) {
+        const media = contentType && response.content[contentType];
+        if (!media) return new Result();
+        schema = media.schema;
+
+        // use a named example or the first example
+        if (media.examples) {
+            const names = Object.keys(media.examples);
+            if (exampleName !== undefined && !names.includes(exampleName)) {
+                exception.message('Example not defined: ' + exampleName);
+                return new Result(undefined, exception);
+            }
+            const name = names.find(name => name === exampleName || (exampleName === undefined && media.examples[name].hasOwnProperty('value')));
+            if (name) return mockExampleValue(schema, media.examples[name].value);
+        } else if (exampleName !== undefined) {
+            exception.message('Example not defined: ' + exampleName);
+            return new Result(undefined, exception);
+        }
+        if (media.hasOwnProperty('example')) return mockExampleValue(schema, media.example);
+
+    } else {
+        schema = response.schema;
+
+        // v2 response examples are already deserialized
+        if (response.examples && contentType && response.examples.hasOwnProperty(contentType)) {
+            return new Result(util.copy(response.examples[contentType]));
+        }
+    }
+
+    if (schema && schema.type !== 'file') {
+        const options = Object.assign({}, randomOptions);
+        const [ value, err ] = schema.random(undefined, options);
+        if (err) {
+            exception.push(err);
+            exception.statusCode = 500;
+            return new Result(undefined, exception);
+        }
+        return new Result(value);
+    }
+    return new Result();
+}
+
+function getMockCode(operation, code) {
+    const responses = operation.responses;
+    const codes = Object.keys(responses);
+    const numeric = codes.filter(code => /^\d+$/.test(code)).sort();
+
+    if (code !== undefined) {
+        if (code.toLowerCase() === 'default') return responses.default ? 'default' : undefined;
+
+        // a requested range is mocked using its first defined code or else the first code within the range
+        if (/X/i.test(code)) code = numeric.find(value => value[0] === code[0]) || code[0] + '00';
+        return responses.findMatch(code) ? code : undefined;
+    }
+
+    // ranges are mocked using the first code within the range
+    const ranges = codes.filter(code => /^\dXX$/.test(code)).sort().map(code => code[0] + '00');
+    const success = numeric.concat(ranges).find(code => code[0] === '2');
+    if (success) return success;
+    if (responses.default) return 'default';
+    return numeric[0] || ranges[0];
+}
+
+function mockExampleValue(schema, value) {
+    return schema ? schema.deserialize(util.copy(value)) : new Result(util.copy(value));
+}
@@ -15,16 +15,30 @@
  *    limitations under the License.
  **/
 'use strict';
+const bodyParsers   = require('../body-parsers');
 const EnforcerRef   = require('../enforcer-ref');
 const Exception     = require('../exception');
+const multipart     = require('../multipart');
+const Parameter     = require('./Parameter');
 const Result        = require('../result');
 const util          = require('../util');
 const Value         = require('../schema/value');
+const xml           = require('../xml');
 
-const rxInteger = /^\d+$/;
-const rxNumber = /^\d+(?:\.\d+)?$/;
+const rxJson = /^[^\/]+\/(?:[^+]+\+)?json$/;
+const rxMultipart = /^multipart\//;
+const rxXml = /^[^\/]+\/(?:[^+]+\+)?xml$/;
 const requestBodyAllowedMethods = { post: true, put: true, options: true, head: true, patch: true };
 
+// parsers for raw response bodies, request body parsers are defined through RequestBody.defineBodyParser
+const responseBodyParsers = {
+    'application/json': bodyParsers.json,
+    'application/octet-stream': bodyParsers.octetStream,
+    'application/xml': bodyParsers.xml,
+    'text/plain': bodyParsers.text,
+    'text/xml': bodyParsers.xml
+};
+
 module.exports = {
     init: function (data) {
         const { major, parent, plugins, root } = data;
@@ -50,11 +64,193 @@ module.exports = {
             if (major === 2 && !this.produces && root.result.produces) {
                 this.produces = root.result.produces
             }
+
+            // if this doesn't have consumes but root does then this has root consumes
+            if (major === 2 && !this.consumes && root.result.consumes) {
+                this.consumes = root.result.consumes
+            }
         });
     },
 
     prototype: {
 
+        /**
+         * Build the url path for this operation by validating, serializing, and stringifying each path parameter
+         * using its style. The server url or base path is not included.
+         * @param {object} [params={}] A map of path parameter names to values.
+         * @returns {EnforcerResult<string>}
+         */
+        buildPath: function (params) {
+            if (params === undefined) params = {};
+            if (!util.isPlainObject(params)) throw Error('Invalid params. Expected a plain object. Received: ' + params);
+
+            const { parent } = this.enforcerData;
+            const exception = Exception('Unable to build path');
+            const definitions = this.parametersMap.path || {};
+            const strings = {};
+            const missingRequired = [];
+
+            Object.keys(definitions).forEach(key => {
+                if (params.hasOwnProperty(key) && params[key] !== undefined) {
+                    const [ string, error ] = stringifyParameter(definitions[key], params[key]);
+                    if (error) {
+                        exception.at(key).push(error);
+                    } else {
+                        strings[key] = string;
+                    }
+                } else {
+                    missingRequired.push(key);
+                }
+            });
+
+            if (missingRequired.length) {
+                exception.message('Missing required parameter' + (missingRequired.length === 1 ? '' : 's') +
+                    ': ' + missingRequired.join(', '));
+            }
+
+            const unknown = Object.keys(params).filter(key => !definitions.hasOwnProperty(key) && params[key] !== undefined);
+            if (unknown.length) {
+                exception.message('Received unexpected parameter' + (unknown.length === 1 ? '' : 's') + ': ' + unknown.join(', '));
+            }
+
+            if (!parent || typeof parent.key !== 'string') exception.message('Unable to determine the path template');
+
+            return exception.hasException
+                ? new Result(undefined, exception)
+                : new Result(fillPathTemplate(parent.key, strings));
+        },
+
+        /**
+         * Validate and serialize request values into the method, path, query string, headers, and body that make up a
+         * request for this operation. This is the inverse of the request function.
+         * @param {object} [request]
+         * @param {*} [request.body] The request body. For v2 formData parameters this is an object of parameter values.
+         * @param {object} [request.cookie={}] A map of cookie parameter names to values.
+         * @param {object} [request.headers={}] A map of header names to values. Headers that are not parameters are passed through.
+         * @param {object} [request.path={}] A map of path parameter names to values.
+         * @param {object} [request.query={}] A map of query parameter names to values.
+         * @returns {EnforcerResult<{ body:*, headers:Object<string,string>, method:string, path:string, query:string }>}
+         */
+        buildRequest: function (request) {
+            if (request === undefined) request = {};
+            if (!request || typeof request !== 'object') throw Error('Invalid request. Expected a non-null object. Received: ' + request);
+            ['cookie', 'headers', 'path', 'query'].forEach(key => {
+                if (request.hasOwnProperty(key) && !util.isPlainObject(request[key])) throw Error('Invalid request ' + key + '. Expected a plain object.');
+            });
+
+            const { key: method, major, parent } = this.enforcerData;
+            const exception = Exception('Unable to build request');
+            const parameters = this.parametersMap;
+            const input = {
+                cookie: request.cookie || {},
+                header: util.lowerCaseObjectProperties(request.headers || {}),
+                path: request.path || {},
+                query: request.query || {}
+            };
+            if (parameters.formData) input.formData = request.body || {};
+            const strings = { cookie: [], formData: [], header: {}, path: {}, query: [] };
+
+            // validate, serialize, and stringify each parameter
+            Object.keys(input).forEach(at => {
+                const child = exception.nest('In ' + (at === 'formData' ? 'body' : at) + ' parameters');
+                const values = input[at];
+                const definitions = parameters[at] || {};
+                const missingRequired = [];
+
+                Object.keys(definitions).forEach(key => {
+                    const parameter = definitions[key];
+                    if (values.hasOwnProperty(key) && values[key] !== undefined) {
+                        const [ string, error ] = stringifyParameter(parameter, values[key]);
+                        if (error) {
+                            child.at(key).push(error);
+                        } else if (Array.isArray(strings[at])) {
+                            if (string) strings[at].push(string);
+                        } else {
+                            strings[at][key] = string;
+                        }
+                    } else if (parameter.required) {
+                        missingRequired.push(key);
+                    }
+                });
+
+                if (missingRequired.length) {
+                    child.message('Missing required parameter' + (missingRequired.length === 1 ? '' : 's') +
+                        ': ' + missingRequired.join(', '));
+                }
+
+                // headers that are not parameters are passed through
+                const unknown = Object.keys(values).filter(key => !definitions.hasOwnProperty(key) && values[key] !== undefined);
+                if (at === 'header') {
+                    unknown.forEach(key => {
+                        if (typeof values[key] !== 'string') {
+                            child.at(key).message('Expected a string. Received: ' + util.smart(values[key]));
+                        } else if (/[\r\n]/.test(values[key])) {
+                            child.at(key).message('Header values cannot contain carriage returns or line feeds');
+                        } else {
+                            strings.header[key] = values[key];
+                        }
+                    });
+                } else if (unknown.length) {
+                    child.message('Received unexpected parameter' + (unknown.length === 1 ? '' : 's') + ': ' + unknown.join(', '));
+                }
+            });
+
+            const headers = strings.header;
+            if (strings.cookie.length) headers.cookie = (headers.cookie ? headers.cookie + '; ' : '') + strings.cookie.join('; ');
+
+            // build the path from the path template
+            const path = parent && typeof parent.key === 'string'
+                ? fillPathTemplate(parent.key, strings.path)
+                : undefined;
+
+            // validate and serialize the body
+            let body;
+            if (parameters.formData) {
+                body = strings.formData.join('&');
+                if (!headers['content-type']) headers['content-type'] = 'application/x-www-form-urlencoded';
+
+            } else if (request.body !== undefined) {
+                const child = exception.nest('In body');
+                if (major === 2 && parameters.body) {
+                    const contentType = headers['content-type'] || getBodyContentType(this.consumes || []) || 'application/json';
+                    body = buildBody(child, contentType, getBodyParameter(parameters).schema, request.body);
+                    if (!headers['content-type']) headers['content-type'] = contentType;
+
+                } else if (major === 3 && this.requestBody) {
+                    const content = this.requestBody.content;
+                    const mediaTypes = Object.keys(content);
+                    const contentType = headers['content-type'] || getBodyContentType(mediaTypes);
+                    const matches = contentType ? util.findMediaMatch(contentType.split(';')[0].trim(), mediaTypes) : [];
+                    if (!contentType) {
+                        child.message('Unable to determine the content type to use. Please specify it in the content-type header');
+                    } else if (!matches.length) {
+                        child.message('Content-Type not accepted: ' + contentType);
+                    } else {
+                        const media = content[matches[0]];
+                        body = buildBody(child, contentType, media.schema, request.body, media.encoding);
+                        if (!headers['content-type']) headers['content-type'] = contentType;
+                    }
+
+                } else {
+                    exception.message('Body is not allowed');
+                }
+
+            } else if (parameters.body && getBodyParameter(parameters).required) {
+                exception.message('Missing required parameter: body');
+            } else if (this.requestBody && this.requestBody.required) {
+                exception.message('Missing required request body');
+            }
+
+            const result = {
+                headers,
+                method: method && method.toUpperCase(),
+                path,
+                query: strings.query.join('&')
+            };
+            if (body !== undefined) result.body = body;
+            return new Result(result, exception);
+        },
+
         /**
          * The the possible response mime types for the response code and accepts string.
          * @param {string, number} code
@@ -63,7 +259,7 @@ module.exports = {
          */
         getResponseContentTypeMatches: function (code, accepts) {
             const exception = new Exception('Unable to determine acceptable response content types');
-            const response = this.responses[code] || this.responses.default;
+            const response = this.responses.findMatch(code);
             let matches;
             if (!response) {
                 exception.message('Invalid response code');
@@ -87,6 +283,98 @@ module.exports = {
             return new Result(matches, exception);
         },
 
+        /**
+         * Parse, deserialize, and validate a response that was received for this operation. This is the client side
+         * inverse of the response function.
+         * @param {object} response
+         * @param {string|number} response.statusCode The response status code.
+         * @param {*} [response.body] The response body.
+         * @param {Object<string,string>} [response.headers={}] The response headers.
+         * @returns {EnforcerResult<{ body:*, headers:object, response:Response, statusCode:number }>}
+         */
+        parseResponse: function (response) {
+            if (!util.isPlainObject(response)) throw Error('Invalid response. Expected a plain object. Received: ' + response);
+            const headers = response.hasOwnProperty('headers') ? response.headers : {};
+            if (!util.isPlainObject(headers)) throw Error('Invalid headers input parameter. Must be a plain object');
+
+            const { major } = this.enforcerData;
+            const bodyOptions = { readWriteMode: 'read' };
+            const code = response.statusCode;
+            const exception = new Exception('Response has one or more errors');
+            const header = util.lowerCaseObjectProperties(headers);
+            const definition = this.responses.findMatch(code);
+            const result = { headers: {}, statusCode: +code };
+
+            if (!definition) {
+                exception.message('Invalid response code: ' + code);
+                return new Result(undefined, exception);
+            }
+            result.response = definition;
+
+            // parse, deserialize, and validate the headers
+            const headerDefinitions = util.lowerCaseObjectProperties(definition.headers || {});
+            const headerException = exception.nest('In headers');
+            Object.keys(header).forEach(key => {
+                const value = Array.isArray(header[key]) ? header[key].join(', ') : String(header[key]);
+                if (headerDefinitions.hasOwnProperty(key)) {
+                    const definition = headerDefinitions[key];
+                    deserializeAndValidate(headerException.at(key), definition.schema, definition.parse(value), value => {
+                        result.headers[key] = Value.extract(value);
+                    });
+                } else {
+                    result.headers[key] = value;
+                }
+            });
+            Object.keys(headerDefinitions).forEach(key => {
+                if (!header.hasOwnProperty(key) && headerDefinitions[key].required) {
+                    headerException.message('Missing required header: ' + key);
+                }
+            });
+
+            if (response.hasOwnProperty('body') && response.body !== undefined) {
+                const contentType = header.hasOwnProperty('content-type') ? header['content-type'].split(';')[0].trim() : '';
+                const value = response.body;
+                let media;
+                let mediaType = contentType;
+
+                if (major === 2) {
+                    if (definition.schema) media = { schema: definition.schema };
+                    if (!mediaType) mediaType = getBodyContentType(this.produces || []);
+                } else if (major === 3 && definition.content) {
+                    const mediaTypes = Object.keys(definition.content);
+                    const match = contentType
+                        ? util.findMediaMatch(contentType, mediaTypes)[0]
+                        : getBodyContentType(mediaTypes);
+                    if (match) {
+                        media = definition.content[match];
+                        if (!mediaType) mediaType = match;
+                    } else if (contentType) {
+                        exception.message('Content-Type not defined for the response: ' + contentType);
+                    } else {
+                        exception.message('Unable to determine the content type of the response. Please specify it in the Content-Type header');
+                    }
+                }
+
+                if (media && media.schema && media.schema.type !== 'file') {
+                    let data;
+                    if (mediaType === 'application/x-www-form-urlencoded' && typeof value === 'string' && media.schema.type === 'object') {
+                        data = parseFormBody(media, value);
+                    } else if (mediaType && (typeof value === 'string' || Buffer.isBuffer(value))) {
+                        data = parseRawBody(responseBodyParsers, mediaType, media.schema, value);
+                    } else {
+                        data = { value: bodyParsers.primitive(value, media.schema) };
+                    }
+                    deserializeAndValidate(exception.nest('In body'), media.schema, data, value => {
+                        result.body = Value.extract(value);
+                    }, bodyOptions);
+                } else {
+                    result.body = value;
+                }
+            }
+
+            return new Result(result, exception);
+        },
+
         /**
          * Take the input parameters and deserialize and validate them.
          * @param {object} request
@@ -97,6 +385,10 @@ module.exports = {
          * @param {object} [options]
          * @param {boolean,string[]} [options.allowOtherQueryParameters=false] Allow query parameter data that is not specified in the OAS document
          * @param {Object<string,string>} [options.pathParametersValueMap] A map of the already parsed out path parameters.
+         * @param {boolean} [options.stripReadOnly=false] Remove read only properties from the body instead of producing an error.
+         * @param {boolean} [options.validateSecurity=false] Require that at least one security requirement be satisfied by the request.
+         * @param {function} [options.verifySecurity] A function that receives a satisfied security requirement's credentials and returns a boolean or a Promise that resolves to a boolean indicating whether the credentials are valid. Setting this function defaults validateSecurity to true.
+         * @returns {EnforcerResult<object>|Promise<EnforcerResult<object>>} A Promise is returned only if the verifySecurity function returns a Promise.
          */
         request: function (request, options) {
 
@@ -114,6 +406,9 @@ module.exports = {
             if (options && typeof options !== 'object') throw Error('Invalid options. Expected an object. Received: ' + options);
             options = Object.assign({}, options);
             if (!options.hasOwnProperty('allowOtherQueryParameters')) options.allowOtherQueryParameters = false;
+            if (!options.hasOwnProperty('stripReadOnly')) options.stripReadOnly = false;
+            if (options.verifySecurity !== undefined && typeof options.verifySecurity !== 'function') throw Error('Invalid option verifySecurity. The value must be a function.');
+            if (!options.hasOwnProperty('validateSecurity')) options.validateSecurity = !!options.verifySecurity;
             if (options.allowOtherQueryParameters) {
                 if (Array.isArray(options.allowOtherQueryParameters)) {
                     if (options.allowOtherQueryParameters.length === 0) {
@@ -144,6 +439,8 @@ module.exports = {
             exception.statusCode = 400;
 
             const parameters = this.parametersMap;
+            const security = getSecurity(this);
+            const bodyOptions = { readWriteMode: 'write', readWriteStrip: options.stripReadOnly };
             const result = {
                 cookie: {},
                 headers: {},
@@ -169,6 +466,7 @@ module.exports = {
                     if (at === 'cookie' || at === 'header') return [];
                     const keys = Object.keys(input);
                     if (at === 'query') {
+                        security.queryNames.forEach(name => util.arrayRemoveItem(keys, name));
                         const allowed = options.allowOtherQueryParameters;
                         if (Array.isArray(allowed)) return keys.filter(item => !allowed.includes(item));
                         return allowed ? [] : keys;
@@ -251,10 +549,17 @@ module.exports = {
                 // v2 parameter in body
                 if (parameters.body) {
                     const parameter = getBodyParameter(parameters);
-                    value = primitiveBodyDeserialization(value, parameter.schema);
-                    deserializeAndValidate(exception.nest('In body'), parameter.schema, { value }, value => {
+                    const contentType = req.header.hasOwnProperty('content-type') ? req.header['content-type'].split(';')[0].trim() : '';
+                    let data;
+                    if (rxXml.test(contentType) && (typeof value === 'string' || Buffer.isBuffer(value))) {
+                        const child = Exception('Unable to parse body');
+                        data = new Result(bodyParsers.xml({ exception: child, mediaType: contentType, schema: parameter.schema, value }), child);
+                    } else {
+                        data = { value: bodyParsers.primitive(value, parameter.schema) };
+                    }
+                    deserializeAndValidate(exception.nest('In body'), parameter.schema, data, value => {
                         result.body = Value.extract(value);
-                    });
+                    }, bodyOptions);
 
                 // v3 requestBody
                 } else if (this.requestBody) {
@@ -274,11 +579,20 @@ module.exports = {
                             const mediaType = matches[i];
                             const media = content[mediaType];
                             if (media.schema) {
-                                value = primitiveBodyDeserialization(value, media.schema);
-                                deserializeAndValidate(child.nest('For Content-Type ' + mediaType), media.schema, { value }, value => {
+                                let data;
+                                if (rxMultipart.test(mediaType) && (typeof value === 'string' || Buffer.isBuffer(value))) {
+                                    data = parseMultipartBody(req.header['content-type'], media, value);
+                                } else if (mediaType === 'application/x-www-form-urlencoded' && typeof value === 'string' && media.schema.type === 'object') {
+                                    data = parseFormBody(media, value);
+                                } else if (typeof value === 'string' || Buffer.isBuffer(value)) {
+                                    data = parseRawBody(this.requestBody.enforcerData.staticData.bodyParsers, contentType === '*/*' ? mediaType : contentType, media.schema, value);
+                                } else {
+                                    data = { value: bodyParsers.primitive(value, media.schema) };
+                                }
+                                deserializeAndValidate(child.nest('For Content-Type ' + mediaType), media.schema, data, value => {
                                     result.body = Value.extract(value);
                                     passed = true;
-                                });
+                                }, bodyOptions);
                             }
 
                             // if the media type was an exact match or if the schema passed then stop executing
@@ -301,14 +615,42 @@ module.exports = {
                 exception.message('Missing required request body');
             }
 
+            // find the first security requirement that the request satisfies
+            if (options.validateSecurity && security.requirements && security.requirements.length) {
+                const done = satisfied => {
+                    if (!satisfied) return new Result(undefined, getUnauthorizedException(security));
+                    result.security = satisfied;
+                    return new Result(result, exception);
+                };
+                const satisfied = verifySecurity(getSecurityCandidates(security, req), options.verifySecurity, 0);
+                return satisfied && typeof satisfied.then === 'function'
+                    ? satisfied.then(done)
+                    : done(satisfied);
+            }
+
             return new Result(result, exception);
         },
 
-        response: function (code, body, headers = {}) {
+        /**
+         * Validate and serialize response data.
+         * @param {string|number} code The response code.
+         * @param {*} [body] The response body.
+         * @param {object} [headers={}] The response headers.
+         * @param {object} [options]
+         * @param {boolean} [options.stripWriteOnly=false] Remove write only properties from the body instead of producing an error.
+         * @returns {EnforcerResult<{ body:*, headers:object, schema:Schema }>}
+         */
+        response: function (code, body, headers = {}, options) {
+            if (!options) options = {};
+            if (typeof options !== 'object') throw Error('Invalid options. Expected an object. Received: ' + options);
+            options = Object.assign({}, options);
+            if (!options.hasOwnProperty('stripWriteOnly')) options.stripWriteOnly = false;
+
+            const bodyOptions = { readWriteMode: 'read', readWriteStrip: options.stripWriteOnly };
             const exception = new Exception('Response invalid');
             const warning = new Exception('Response has one or more warnings');
             const hasBody = body !== undefined;
-            const response = this.responses[code] || this.responses.default;
+            const response = this.responses.findMatch(code);
             const result = { headers: {} };
             const major = this.enforcerData.major;
 
@@ -326,13 +668,14 @@ module.exports = {
                             result.body = body;
                         } else {
                             body = schema.formalize(body);
-                            let err = schema.validate(body);
-                            if (!err) [body, err] = schema.serialize(body);
+                            let err = schema.validate(body, bodyOptions);
+                            if (!err) [body, err] = schema.serialize(body, bodyOptions);
                             if (err) {
                                 exception.at('body').merge(err);
                             } else {
+                                const contentType = headers.hasOwnProperty('content-type') ? headers['content-type'].split(';')[0].trim() : '';
                                 result.schema = schema;
-                                result.body = body;
+                                result.body = rxXml.test(contentType) ? xml.stringify(body, schema) : body;
                             }
                         }
 
@@ -360,13 +703,13 @@ module.exports = {
                             const schema = contentType && content[contentType] && content[contentType].schema;
                             if (schema) {
                                 body = schema.formalize(body);
-                                let err = schema.validate(body);
-                                if (!err) [body, err] = schema.serialize(body);
+                                let err = schema.validate(body, bodyOptions);
+                                if (!err) [body, err] = schema.serialize(body, bodyOptions);
                                 if (err) {
                                     exception.at('body').merge(err);
                                 } else {
                                     result.schema = schema;
-                                    result.body = body;
+                                    result.body = rxXml.test(contentType) ? xml.stringify(body, schema) : body;
                                 }
                             } else {
                                 result.body = body;
@@ -582,14 +925,116 @@ function buildParametersMap(map, parameters) {
     }
 }
 
+function getSecurity(operation) {
+    const { major, root } = operation.enforcerData;
+    const openapi = root.result;
+    const requirements = operation.security || openapi.security;
+    const schemes = (major === 2
+        ? openapi.securityDefinitions
+        : openapi.components && openapi.components.securitySchemes) || {};
+
+    // query parameter names used by api keys are not unknown parameters
+    const queryNames = [];
+    if (requirements) {
+        requirements.forEach(requirement => {
+            Object.keys(requirement).forEach(name => {
+                const scheme = schemes[name];
+                if (scheme && scheme.type === 'apiKey' && scheme.in === 'query' && !queryNames.includes(scheme.name)) {
+                    queryNames.push(scheme.name);
+                }
+            });
+        });
+    }
+
+    return { queryNames, requirements, schemes };
+}
+
+function getSecurityCandidates(security, req) {
+    const candidates = [];
+    security.requirements.forEach(requirement => {
+        const credentials = {};
+        const names = Object.keys(requirement);
+        const length = names.length;
+        let found = true;
+        for (let i = 0; i < length; i++) {
+            const name = names[i];
+            const scheme = security.schemes[name];
+            const value = scheme ? scheme.getCredentials(req) : undefined;
+            if (value === undefined) {
+                found = false;
+                break;
+            }
+            credentials[name] = value;
+        }
+        if (found) candidates.push({ credentials, requirement });
+    });
+    return candidates;
+}
+
+function getUnauthorizedException(security) {
+    const exception = Exception('Request has one or more errors');
+    exception.message('Request does not satisfy any security requirement');
+    exception.statusCode = 401;
+
+    const challenges = [];
+    security.requirements.forEach(requirement => {
+        Object.keys(requirement).forEach(name => {
+            const scheme = security.schemes[name];
+            const challenge = scheme && scheme.getChallenge();
+            if (challenge && !challenges.includes(challenge)) challenges.push(challenge);
+        });
+    });
+    if (challenges.length) exception.headers = { 'WWW-Authenticate': challenges.join(', ') };
+
+    return exception;
+}
+
+function buildBody(exception, contentType, schema, value, encoding) {
+    const type = contentType.split(';')[0].trim();
+    if (schema) {
+        value = schema.formalize(value);
+        let error = schema.validate(value, { readWriteMode: 'write' });
+        if (!error) [ value, error ] = schema.serialize(value, { readWriteMode: 'write' });
+        if (error) {
+            exception.push(error);
+            return;
+        }
+    }
+
+    if (typeof value === 'string' || Buffer.isBuffer(value)) {
+        return value;
+    } else if (rxJson.test(type)) {
+        return JSON.stringify(value);
+    } else if (rxXml.test(type)) {
+        return xml.stringify(value, schema);
+    } else if (type === 'application/x-www-form-urlencoded' && schema && value && typeof value === 'object') {
+        return stringifyFormBody(exception, schema, encoding || {}, value);
+    } else if (value !== null && typeof value === 'object') {
+        return value;
+    } else {
+        return String(value);
+    }
+}
+
+// replace each {name} in the path template with its stringified path parameter value
+function fillPathTemplate(template, strings) {
+    return template.replace(/{([^}]+)}/g, (match, name) => strings.hasOwnProperty(name) ? strings[name] : match);
+}
+
+// prefer a JSON media type when the content type is not specified
+function getBodyContentType(mediaTypes) {
+    if (mediaTypes.length === 1) return mediaTypes[0];
+    return mediaTypes.find(type => rxJson.test(type));
+}
+
 function getBodyParameter(parameters) {
     const key = Object.keys(parameters.body)[0];
     return parameters.body[key];
 }
 
-function deserializeAndValidate(exception, schema, data, success) {
-    if (!data.error) data = schema.deserialize(data.value);
-    if (!data.error) data.error = schema.validate(data.value);
+function deserializeAndValidate(exception, schema, data, success, options) {
+    if (!data.error) data = schema.deserialize(data.value, options);
+    if (!data.error) data.error = schema.validate(data.value, options);
     if (data.error) {
         if (exception) exception.push(data.error);
     } else {
@@ -597,16 +1042,253 @@ function deserializeAndValidate(exception, schema, data, success) {
     }
 }
 
-function primitiveBodyDeserialization (value, schema) {
-    if (typeof value === 'string') {
-        if (schema.type === 'boolean') {
-            if (value === 'true') value = true;
-            if (!value || value === 'false') value = false;
-        } else if (schema.type === 'integer') {
-            if (rxInteger.test(value)) value = parseInt(value);
-        } else if (schema.type === 'number') {
-            if (rxNumber.test(value)) value = parseFloat(value);
+// returns the first verified candidate, undefined, or a Promise that resolves to one of those
+function verifySecurity(candidates, verifier, index) {
+    const length = candidates.length;
+    while (index < length) {
+        const candidate = candidates[index++];
+
+        // a requirement without any schemes (anonymous access) has nothing to verify
+        if (!verifier || Object.keys(candidate.credentials).length === 0) return candidate;
+
+        const verified = verifier(candidate);
+        if (verified && typeof verified.then === 'function') {
+            return verified.then(valid => valid ? candidate : verifySecurity(candidates, verifier, index));
+        } else if (verified) {
+            return candidate;
         }
     }
-    return value;
 }
+
+// the default part content type for a schema as defined by the Encoding object
+function multipartContentType(schema) {
+    if (schema && schema.type === 'array') schema = schema.items;
+    if (!schema) return 'text/plain';
+    if (schema.type === 'string' && schema.format === 'binary') return 'application/octet-stream';
+    if (schema.type === 'object' || schema.type === 'array') return 'application/json';
+    return 'text/plain';
+}
+
+// parse a string or buffer body using the body parser registered for the media type
+function parseRawBody(parsers, mediaType, schema, value) {
+    const matches = mediaType.includes('*') ? [] : util.findMediaMatch(mediaType, Object.keys(parsers));
+    if (!matches.length) return new Result(bodyParsers.primitive(value, schema));
+
+    const exception = Exception('Unable to parse body');
+    const result = parsers[matches[0]]({ exception, mediaType, schema, value });
+    return new Result(result, exception);
+}
+
+function parseMultipartBody(contentType, media, body) {
+    const exception = Exception('Unable to parse multipart body');
+    const boundary = multipart.getBoundary(contentType);
+    if (!boundary) {
+        exception.message('Missing boundary in Content-Type header');
+        return new Result(undefined, exception);
+    }
+
+    let parts;
+    try {
+        parts = multipart.parse(body, boundary);
+    } catch (err) {
+        exception.message(err.message);
+        return new Result(undefined, exception);
+    }
+
+    const schema = media.schema;
+    const encodings = media.encoding || {};
+    const result = {};
+    parts.forEach((part, index) => {
+        const name = part.name;
+        if (name === undefined) {
+            exception.at(index).message('Missing content disposition name');
+            return;
+        }
+
+        const child = exception.at(name);
+        const encoding = encodings[name];
+        const propertySchema = schema.properties && schema.properties.hasOwnProperty(name)
+            ? schema.properties[name]
+            : typeof schema.additionalProperties === 'object' ? schema.additionalProperties : undefined;
+        const isArray = propertySchema && propertySchema.type === 'array';
+        const itemSchema = isArray ? propertySchema.items : propertySchema;
+
+        // determine the part content type
+        const allowedTypes = (encoding ? encoding.contentType : multipartContentType(propertySchema))
+            .split(',')
+            .map(v => v.trim());
+        const partType = part.headers.hasOwnProperty('content-type')
+            ? part.headers['content-type'].split(';')[0].trim()
+            : allowedTypes[0];
+        if (encoding && !util.findMediaMatch(partType, allowedTypes).length) {
+            child.message('Content-Type not accepted: ' + partType);
+            return;
+        }
+
+        // validate the part headers
+        if (encoding && encoding.headers) {
+            Object.keys(encoding.headers).forEach(key => {
+                const header = encoding.headers[key];
+                const headerName = key.toLowerCase();
+                if (part.headers.hasOwnProperty(headerName)) {
+                    deserializeAndValidate(child.nest('In headers').at(key), header.schema, header.parse(part.headers[headerName]), () => {});
+                } else if (header.required) {
+                    child.nest('In headers').message('Missing required header: ' + key);
+                }
+            });
+        }
+
+        // decode the part body
+        let value;
+        if (rxJson.test(partType)) {
+            try {
+                value = JSON.parse(part.body.toString());
+            } catch (err) {
+                child.message('Unable to parse JSON: ' + err.message);
+                return;
+            }
+        } else if (partType === 'application/octet-stream' || (itemSchema && itemSchema.format === 'binary')) {
+            value = part.body;
+        } else {
+            value = part.body.toString();
+            if (itemSchema) value = bodyParsers.primitive(value, itemSchema);
+        }
+
+        if (isArray) {
+            if (!result.hasOwnProperty(name)) result[name] = [];
+            result[name].push(value);
+        } else {
+            result[name] = value;
+        }
+    });
+
+    return new Result(result, exception);
+}
+
+// validate, serialize, and stringify a single parameter value
+function stringifyParameter(parameter, input) {
+    const schema = parameter.schema;
+    const value = schema.formalize(input);
+    const error = schema.validate(value);
+    if (error) return new Result(undefined, error);
+
+    const [ serialized, err ] = schema.serialize(value);
+    if (err) return new Result(undefined, err);
+    return parameter.stringify(serialized);
+}
+
+function stringifyFormBody(exception, schema, encodings, value) {
+    const properties = schema.properties || {};
+    const pairs = [];
+    Object.keys(value).forEach(name => {
+        if (value[name] === undefined) return;
+        const encoding = encodings[name] || {};
+        const style = encoding.style || 'form';
+        const parameter = {
+            allowReserved: encoding.allowReserved,
+            enforcerData: { major: 3 },
+            explode: encoding.hasOwnProperty('explode') ? encoding.explode : style === 'form',
+            in: 'query',
+            name,
+            schema: properties[name] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : {}),
+            style
+        };
+        const [ string, error ] = Parameter.prototype.stringify.call(parameter, value[name]);
+        if (error) {
+            exception.at(name).push(error);
+        } else if (string) {
+            pairs.push(string);
+        }
+    });
+    return pairs.join('&');
+}
+
+function parseFormBody(media, body) {
+    const exception = Exception('Unable to parse form body');
+    const schema = media.schema;
+    const encodings = media.encoding || {};
+    const query = util.parseQueryString(body);
+    const unusedKeys = Object.keys(query);
+    const result = {};
+
+    // decode each property the same way that a query parameter is parsed, leaving exploded objects until last
+    const names = Object.keys(schema.properties || {});
+    const isExplodedObject = name => {
+        const encoding = encodings[name] || {};
+        return schema.properties[name].type === 'object' && (encoding.style || 'form') === 'form' && encoding.explode !== false;
+    };
+    names.sort((a, b) => isExplodedObject(a) - isExplodedObject(b));
+    names.forEach(name => {
+        const propertySchema = schema.properties[name];
+        const type = propertySchema.type;
+        const encoding = encodings[name] || {};
+        const style = encoding.style || 'form';
+        const parameter = {
+            allowEmptyValue: false,
+            enforcerData: { major: 3 },
+            explode: encoding.hasOwnProperty('explode') ? encoding.explode : style === 'form',
+            in: 'query',
+            name,
+            schema: propertySchema,
+            style
+        };
+
+        if (query.hasOwnProperty(name)) {
+            util.arrayRemoveItem(unusedKeys, name);
+            const values = query[name];
+            if (type === 'string' && values[values.length - 1] === '') {
+                result[name] = '';
+            } else {
+                const [ value, error ] = Parameter.prototype.parse.call(parameter, body, query);
+                if (error) {
+                    exception.at(name).push(error);
+                } else {
+                    result[name] = value;
+                }
+            }
+
+        } else if (type === 'object' && style === 'deepObject') {
+            // match the decoded keys so that encoded brackets are found, then rebuild the deep object string to parse
+            const prefix = name + '[';
+            const keys = unusedKeys.filter(key => key.startsWith(prefix) && key.length > prefix.length + 1 &&
+                key.indexOf(']') === key.length - 1);
+            if (keys.length) {
+                const string = keys
+                    .map(key => {
+                        const values = query[key];
+                        return prefix + encodeURIComponent(key.slice(prefix.length, -1)) + ']=' +
+                            encodeURIComponent(values[values.length - 1]);
+                    })
+                    .join('&');
+                const [ value, error ] = Parameter.prototype.parse.call(parameter, string, util.parseQueryString(string));
+                if (!error) {
+                    keys.forEach(key => util.arrayRemoveItem(unusedKeys, key));
+                    result[name] = value;
+                }
+            }
+
+        } else if (type === 'object' && style === 'form' && parameter.explode) {
+            // an exploded object can only claim keys that have not been used by other properties
+            const [ value, error ] = Parameter.prototype.parse.call(parameter, body, query);
+            const additional = typeof propertySchema.additionalProperties === 'object';
+            const keys = error ? [] : Object.keys(value).filter(key => unusedKeys.includes(key) &&
+                (additional || (propertySchema.properties && propertySchema.properties.hasOwnProperty(key))));
+            if (keys.length) {
+                result[name] = {};
+                keys.forEach(key => {
+                    util.arrayRemoveItem(unusedKeys, key);
+                    result[name][key] = value[key];
+                });
+            }
+        }
+    });
+
+    // keep unknown keys so that the schema can validate them
+    unusedKeys.forEach(key => {
+        const values = query[key];
+        result[key] = values[values.length - 1];
+    });
+
+    return new Result(result, exception);
+}
+
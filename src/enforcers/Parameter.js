@@ -18,7 +18,9 @@
 const Base          = require('../validator-parameter-base');
 const EnforcerRef   = require('../enforcer-ref');
 const Exception     = require('../exception');
+const querystring   = require('querystring');
 const Result        = require('../result');
+const util          = require('../util');
 const Value         = require('../schema/value');
 
 const rxFalse = /^false/i;
@@ -69,8 +71,10 @@ module.exports = {
             const exception = Exception('Unable to parse value');
 
             if (major === 2) {
+                // in case the query string has not been parsed, parse it now
+                if (!query && this.in === 'query') query = util.parseQueryString(value);
+
                 if (this.collectionFormat === 'multi') {
-                    if (!query) query = util.parseQueryString(value);
                     const values = query[this.name];
                     if (values) {
                         const result = [];
@@ -122,7 +126,7 @@ module.exports = {
                     let hasValue = false;
                     while ((match = rx.exec(value))) {
                         hasValue = true;
-                        result[match[1]] = match[2];
+                        result[decode(match[1])] = decode(match[2] || '');
                     }
                     if (hasValue) parsed = result;
 
@@ -132,8 +136,9 @@ module.exports = {
                         if (result) {
                             parsed = {};
                             Object.keys(result).forEach(name => {
-                                if (schema.additionalProperties || (schema.properties && schema.properties.hasOwnProperty(name))) {
-                                    parsed[name] = result[name];
+                                const key = decode(name);
+                                if (schema.additionalProperties || (schema.properties && schema.properties.hasOwnProperty(key))) {
+                                    parsed[key] = decode(result[name]);
                                 }
                             });
                         }
@@ -215,6 +220,9 @@ module.exports = {
                     }
                 }
 
+                // cookie values are percent encoded so each one is decoded after the delimiters are split
+                if (parsed !== undefined && this.in === 'cookie') parsed = decodeCookieValue(parsed);
+
                 // parse array items and object properties
                 if (parsed !== undefined) {
                     if (type === 'array') {
@@ -236,6 +244,98 @@ module.exports = {
 
                 return new Result(parsed, exception);
             }
+        },
+
+        /**
+         * Convert a serialized value into the string that represents it in a request. Path parameters produce the
+         * value that replaces the path template variable, header parameters produce the header value, and query,
+         * formData, and cookie parameters produce the name and value pairs. Does not validate.
+         * @param {*} value
+         * @returns {EnforcerResult<string>}
+         */
+        stringify: function (value) {
+            const { major } = this.enforcerData;
+            const exception = Exception('Unable to stringify value');
+            const encode = getEncoder(this);
+            const name = encode(this.name);
+            const isPair = ['cookie', 'formData', 'query'].includes(this.in);
+
+            if (major === 2) {
+                if (this.collectionFormat === 'multi') {
+                    const result = (value || [])
+                        .map((item, index) => name + '=' + encode(stringifyPrimitive(exception.at(index), item)))
+                        .join('&');
+                    return new Result(result, exception);
+                } else {
+                    const result = v2Stringify(this, exception, value, encode, this.in === 'header');
+                    if (this.in === 'header') checkHeaderValue(exception, result);
+                    return new Result(isPair ? name + '=' + result : result, exception);
+                }
+
+            } else if (major === 3) {
+                const explode = this.explode;
+                const schema = this.schema;
+                const style = this.style;
+                const type = schema && schema.type;
+                let result;
+
+                if (type === 'array' && Array.isArray(value)) {
+                    const values = value.map((item, index) => encode(stringifyPrimitive(exception.at(index), item)));
+                    if (this.in === 'header') values.forEach((value, index) => checkDelimiters(exception.at(index), value, ','));
+                    if (style === 'simple') {
+                        result = values.join(',');
+                    } else if (style === 'label') {
+                        result = '.' + values.join(explode ? '.' : ',');
+                    } else if (style === 'matrix') {
+                        result = explode
+                            ? values.map(value => ';' + name + '=' + value).join('')
+                            : ';' + name + '=' + values.join(',');
+                    } else if (explode) {
+                        result = values.map(value => name + '=' + value).join('&');
+                    } else {
+                        const delimiter = { pipeDelimited: '|', spaceDelimited: '%20' }[style] || ',';
+                        result = name + '=' + values.join(delimiter);
+                    }
+
+                } else if (type === 'object' && value && typeof value === 'object') {
+                    const keys = Object.keys(value).filter(key => value[key] !== undefined);
+                    const pairs = keys.map(key => [encode(key), encode(stringifyPrimitive(exception.at(key), value[key]))]);
+                    if (this.in === 'header') {
+                        pairs.forEach((pair, index) => {
+                            checkDelimiters(exception.at(keys[index]), pair[0], explode ? ',=' : ',');
+                            checkDelimiters(exception.at(keys[index]), pair[1], ',');
+                        });
+                    }
+                    const flattened = delimiter => pairs.map(pair => pair.join(delimiter)).join(delimiter);
+                    const exploded = delimiter => pairs.map(pair => pair.join('=')).join(delimiter);
+                    if (style === 'simple') {
+                        result = explode ? exploded(',') : flattened(',');
+                    } else if (style === 'label') {
+                        result = '.' + (explode ? exploded('.') : flattened(','));
+                    } else if (style === 'matrix') {
+                        result = explode ? ';' + exploded(';') : ';' + name + '=' + flattened(',');
+                    } else if (style === 'deepObject') {
+                        result = pairs.map(pair => name + '[' + pair[0] + ']=' + pair[1]).join('&');
+                    } else if (style === 'form') {
+                        result = explode ? exploded('&') : name + '=' + flattened(',');
+                    } else {
+                        result = name + '=' + flattened(style === 'pipeDelimited' ? '|' : '%20');
+                    }
+
+                } else {
+                    const string = encode(stringifyPrimitive(exception, value));
+                    if (style === 'label') {
+                        result = '.' + string;
+                    } else if (style === 'matrix') {
+                        result = ';' + name + '=' + string;
+                    } else {
+                        result = isPair ? name + '=' + string : string;
+                    }
+                }
+
+                if (this.in === 'header') checkHeaderValue(exception, result);
+                return new Result(result, exception);
+            }
         }
     },
 
@@ -393,6 +493,11 @@ function arrayExploded(setDelimiter, valueDelimiter, name, value) {
     return result;
 }
 
+// decode a raw query string component
+function decode(value) {
+    return querystring.unescape(value.replace(/\+/g, ' '));
+}
+
 function delimited(type, delimiter, value) {
     if (type === 'array') {
         return value.split(delimiter);
@@ -454,6 +559,56 @@ function parsePrimitive(parameter, schema, exception, value) {
     return value;
 }
 
+// header values are not encoded so a value that contains a delimiter cannot be told apart from the delimiter
+function checkDelimiters(exception, value, delimiters) {
+    const found = delimiters.split('').filter(delimiter => value.includes(delimiter));
+    if (found.length) exception.message('Value cannot contain the delimiter: ' + found.map(util.smart).join(', '));
+}
+
+function checkHeaderValue(exception, value) {
+    if (/[\r\n]/.test(value)) exception.message('Header values cannot contain carriage returns or line feeds');
+}
+
+function decodeCookieValue(value) {
+    if (Array.isArray(value)) return value.map(decodeCookieValue);
+    if (typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach(key => result[decodeCookieValue(key)] = decodeCookieValue(value[key]));
+        return result;
+    }
+    try {
+        return decodeURIComponent(value);
+    } catch (err) {
+        return value;
+    }
+}
+
+function getEncoder(parameter) {
+    if (parameter.in === 'path') {
+        // the label style uses a period as its delimiter and periods are not percent encoded
+        return parameter.style === 'label'
+            ? value => encodeURIComponent(value).replace(/\./g, '%2E')
+            : encodeURIComponent;
+    }
+    if (parameter.in === 'query' || parameter.in === 'formData') {
+        return parameter.allowReserved
+            ? value => encodeURIComponent(value).replace(/%(3A|2F|3F|23|5B|5D|40|21|24|26|27|28|29|2A|2B|2C|3B|3D)/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+            : encodeURIComponent;
+    }
+
+    // cookie values are encoded so that they cannot add other cookies or cookie attributes
+    if (parameter.in === 'cookie') return encodeURIComponent;
+    return value => value;
+}
+
+function stringifyPrimitive(exception, value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    if (typeof value === 'string') return value;
+    exception.message('Unable to stringify value: ' + util.smart(value));
+    return '';
+}
+
 function v2Parse(parameter, schema, exception, value) {
     if (schema.type === 'array') {
         let values;
@@ -464,11 +619,12 @@ function v2Parse(parameter, schema, exception, value) {
             case 'pipes':
                 values = value.split('|');
                 break;
+            // path values are not decoded so the whitespace delimiters may still be encoded
             case 'ssv':
-                values = value.split(' ');
+                values = value.split(parameter.in === 'path' ? /%20| / : ' ');
                 break;
             case 'tsv':
-                values = value.split('\t');
+                values = value.split(parameter.in === 'path' ? /%09|\t/ : '\t');
                 break;
             // multi is not a valid collectionFormat for itemsObject: https://github.com/OAI/OpenAPI-Specification/blob/master/versions/2.0.md#itemsObject
         }
@@ -476,4 +632,21 @@ function v2Parse(parameter, schema, exception, value) {
     } else {
         return parsePrimitive(parameter, schema, exception, value);
     }
-}
\ No newline at end of file
+}
+
+function v2Stringify(schema, exception, value, encode, isHeader) {
+    if (schema.type === 'array' && Array.isArray(value)) {
+        const delimiter = { csv: ',', pipes: '|', ssv: ' ', tsv: '\t' }[schema.collectionFormat] || ',';
+        return value
+            .map((value, index) => {
+                const string = schema.items
+                    ? v2Stringify(schema.items, exception.at(index), value, encode, isHeader)
+                    : encode(stringifyPrimitive(exception.at(index), value));
+                if (isHeader) checkDelimiters(exception.at(index), string, delimiter);
+                return string;
+            })
+            .join(/\s/.test(delimiter) ? encode(delimiter) : delimiter);
+    } else {
+        return encode(stringifyPrimitive(exception, value));
+    }
+}
@@ -19,18 +19,19 @@ const EnforcerRef  = require('../enforcer-ref');
 const util          = require('../util');
 
 const rxPathParam = /{([^}]+)}/;
+const rxPathParams = /{[^}]+}/;
 
 module.exports = {
     init: function (data) {
-        const { exception, result, plugins } = data;
-        const pathParsers = {};
+        const { exception, options, result, plugins, warn } = data;
+        const ambiguousPaths = (options && options.ambiguousPaths) || 'warn';
+        const pathTrie = createTrieNode();
         const pathEquivalencies = {};
-        const paramlessMap = {};
+        const leaves = [];
 
         plugins.push(() => {
             Object.keys(result).forEach((pathKey, index) => {
                 const path = result[pathKey];
-                const pathLength = pathKey.split('/').length - 1;
 
                 // figure out path parameter names from the path key
                 const parameterNames = [];
@@ -62,75 +63,107 @@ module.exports = {
                     if (definitionParametersMissing.length) child.message('Definition missing path parameters: ' + definitionParametersMissing.join(', '));
                 });
 
-                // build search regular expression
+                // build the equivalency key used to weight paths and the paramless string used to compare them
                 const rxFind = /{([^}]+)}/g;
                 let subStr;
                 let paramlessStr = '';
-                let rxStr = '';
                 let offset = 0;
                 let equivalencyKey = '';
                 while ((match = rxFind.exec(pathKey))) {
                     subStr = pathKey.substring(offset, match.index);
                     equivalencyKey += '0'.repeat(subStr.split('/').length) + '1';
                     paramlessStr += subStr + '{}';
-                    rxStr += escapeRegExp(subStr) + '([\\s\\S]+?)';
                     offset = match.index + match[0].length;
                 }
                 subStr = pathKey.substr(offset);
                 if (subStr) {
                     equivalencyKey += '0'.repeat(subStr.split('/').length) + '0';
-                    rxStr += escapeRegExp(subStr);
                     paramlessStr += subStr;
                 }
-                const rx = new RegExp('^' + rxStr + '$');
 
-                if (!paramlessMap[equivalencyKey]) paramlessMap[equivalencyKey] = [];
-                const paramless = paramlessMap[equivalencyKey];
+                // paths that only differ by their parameter names are equivalent
+                if (!pathEquivalencies[paramlessStr]) pathEquivalencies[paramlessStr] = [];
+                pathEquivalencies[paramlessStr].push(pathKey);
 
-                if (!pathEquivalencies[equivalencyKey]) pathEquivalencies[equivalencyKey] = [];
-                if (pathEquivalencies[equivalencyKey].length === 0) pathEquivalencies[equivalencyKey].push(pathKey);
-                if (!paramless.includes(paramlessStr)) {
-                    paramless.push(paramlessStr);
-                } else {
-                    pathEquivalencies[equivalencyKey].push(pathKey);
-                }
-
-                // define parser function
-                const parser = pathString => {
-
-                    // check if this path is a match
-                    const match = rx.exec(pathString);
-                    if (!match) return undefined;
-
-                    // get path parameter strings
-                    const pathParams = {};
-                    parameterNames.forEach((name, index) => pathParams[name] = match[index + 1]);
+                // add the path to the trie with one node per path segment
+                // the trailing slash is stored with the path so that the trailing slash policy can be applied when matching
+                let node = pathTrie;
+                const pathSegments = pathKey.split('/').slice(1);
+                const trailingSlash = pathSegments.length > 1 && pathSegments[pathSegments.length - 1] === '';
+                if (trailingSlash) pathSegments.pop();
+                const segments = pathSegments.map(segment => {
+                    if (!rxPathParam.test(segment)) {
+                        if (!node.static.has(segment)) {
+                            const child = createTrieNode();
+                            const lowerCase = segment.toLowerCase();
+                            node.static.set(segment, child);
+                            if (!node.staticLowerCase.has(lowerCase)) node.staticLowerCase.set(lowerCase, []);
+                            node.staticLowerCase.get(lowerCase).push(child);
+                        }
+                        node = node.static.get(segment);
+                        return segment;
+                    } else {
+                        // templated segments share a node when only their parameter names differ
+                        const pieces = segment.split(rxPathParams);
+                        const pattern = pieces.join('{}');
+                        let child = node.dynamic.find(child => child.pattern === pattern);
+                        if (!child) {
+                            const rxString = '^' + pieces.map(escapeRegExp).join('([\\s\\S]+?)') + '$';
+                            child = {
+                                node: createTrieNode(),
+                                pattern,
+                                pieces,
+                                rx: new RegExp(rxString),
+                                rxCaseInsensitive: new RegExp(rxString, 'i')
+                            };
+                            node.dynamic.push(child);
+                        }
+                        node = child.node;
+                        return child;
+                    }
+                });
 
-                    return {
-                        params: pathParams,
-                        path
-                    };
+                // the weight gives precedence to static segments over path parameters
+                const leaf = {
+                    key: pathKey,
+                    names: parameterNames,
+                    node,
+                    path,
+                    segments,
+                    trailingSlash,
+                    weight: equivalencyKey + index
                 };
-
-                parser.weight = equivalencyKey + index;
-
-                if (!pathParsers[pathLength]) pathParsers[pathLength] = [];
-                pathParsers[pathLength].push(parser);
+                node.leaves.push(leaf);
+                leaves.push(leaf);
             });
 
-            // const equivalencyException = exception.nest('Equivalent paths are not allowed');
-            // Object.keys(pathEquivalencies).forEach(key => {
-            //     const array = pathEquivalencies[key];
-            //     if (array.length > 1) {
-            //         const conflicts = equivalencyException.nest('Equivalent paths:');
-            //         array.forEach(err => conflicts.push(err));
-            //     }
-            // });
-
-            Object.keys(pathParsers).forEach(key => {
-                pathParsers[key].sort((a, b) => a.weight < b.weight ? -1 : 1);
+            const equivalencyException = exception.nest('Equivalent paths are not allowed');
+            Object.keys(pathEquivalencies).forEach(key => {
+                const array = pathEquivalencies[key];
+                if (array.length > 1) {
+                    const conflicts = equivalencyException.nest('Equivalent paths:');
+                    array.forEach(err => conflicts.push(err));
+                }
             });
-            this.enforcerData.pathParsers = pathParsers;
+
+            // paths that are not equivalent but can still match the same request path are ambiguous
+            if (ambiguousPaths !== 'ignore') {
+                const ambiguityException = (ambiguousPaths === 'error' ? exception : warn)
+                    .nest('Ambiguous paths can match the same request. The first path listed takes precedence');
+                leaves.forEach(leaf => {
+                    const nodes = [];
+                    findOverlappingNodes(pathTrie, leaf.segments, 0, nodes);
+                    nodes
+                        .filter(node => node !== leaf.node)
+                        .forEach(node => {
+                            node.leaves
+                                .filter(other => other.weight > leaf.weight)
+                                .forEach(other => ambiguityException.nest('Ambiguous paths:').push(leaf.key).push(other.key));
+                        });
+                });
+            }
+
+            this.enforcerData.pathTrie = pathTrie;
         });
     },
 
@@ -138,28 +171,36 @@ module.exports = {
         /**
          * Find the Path object for the provided path.
          * @param {string} pathString
+         * @param {object} [options]
+         * @param {boolean} [options.caseInsensitive=false] Match the static parts of the path without regard to case.
+         * @param {string} [options.trailingSlash='ignore'] Set to "strict" to require that the path and the matched path both have or both lack a trailing slash.
          * @returns {{ params: object, path: Path }|undefined}
          */
-        findMatch: function (pathString) {
-            const { pathParsers } = this.enforcerData;
+        findMatch: function (pathString, options) {
+            const { pathTrie } = this.enforcerData;
+            if (!options) options = {};
 
             // normalize the path
-            pathString = util.edgeSlashes(pathString.split('?')[0], true, false);
+            pathString = pathString.split('?')[0];
+            const hasTrailingSlash = pathString.length > 1 && pathString[pathString.length - 1] === '/';
+            const segments = util.edgeSlashes(pathString, true, false).split('/').slice(1);
 
-            // get all parsers that fit the path length
-            const pathLength = pathString.split('/').length - 1;
-            const parsers = pathParsers[pathLength];
+            // walk the trie one path segment at a time
+            const match = findTrieMatch(pathTrie, {
+                caseInsensitive: !!options.caseInsensitive,
+                segments,
+                trailingSlash: options.trailingSlash === 'strict' ? hasTrailingSlash : undefined
+            }, 0, []);
+            if (!match) return;
 
-            // if the parser was not found then they have a bad path
-            if (!parsers) return;
+            // get path parameter strings
+            const pathParams = {};
+            match.leaf.names.forEach((name, index) => pathParams[name] = match.values[index]);
 
-            // find the right parser and run it
-            const length = parsers.length;
-            for (let i = 0; i < length; i++) {
-                const parser = parsers[i];
-                const results = parser(pathString);
-                if (results) return results;
-            }
+            return {
+                params: pathParams,
+                path: match.leaf.path
+            };
         }
     },
 
@@ -184,4 +225,76 @@ module.exports = {
 
 function escapeRegExp(text) {
     return text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
-}
\ No newline at end of file
+}
+
+function createTrieNode() {
+    return {
+        dynamic: [],
+        leaves: [],
+        static: new Map(),
+        staticLowerCase: new Map()
+    };
+}
+
+// find the trie nodes for paths that can match at least one of the request paths that the segments match
+function findOverlappingNodes(node, segments, index, found) {
+    if (index === segments.length) return found.push(node);
+
+    const segment = segments[index];
+    if (typeof segment === 'string') {
+        if (node.static.has(segment)) findOverlappingNodes(node.static.get(segment), segments, index + 1, found);
+        node.dynamic.forEach(child => {
+            if (child.rx.test(segment)) findOverlappingNodes(child.node, segments, index + 1, found);
+        });
+    } else {
+        node.static.forEach((child, key) => {
+            if (segment.rx.test(key)) findOverlappingNodes(child, segments, index + 1, found);
+        });
+        node.dynamic.forEach(child => {
+            if (piecesOverlap(segment.pieces, child.pieces)) findOverlappingNodes(child.node, segments, index + 1, found);
+        });
+    }
+}
+
+// find the lowest weight path that matches the path segments
+function findTrieMatch(node, search, index, values) {
+    const { caseInsensitive, segments, trailingSlash } = search;
+    if (index === segments.length) {
+        const leaves = trailingSlash === undefined
+            ? node.leaves
+            : node.leaves.filter(leaf => leaf.trailingSlash === trailingSlash);
+        if (!leaves.length) return;
+        const leaf = leaves.reduce((best, leaf) => leaf.weight < best.weight ? leaf : best);
+        return { leaf, values };
+    }
+
+    // a static segment always outweighs a path parameter at the same position
+    const segment = segments[index];
+    const children = caseInsensitive
+        ? node.staticLowerCase.get(segment.toLowerCase()) || []
+        : node.static.has(segment) ? [node.static.get(segment)] : [];
+    for (let i = 0; i < children.length; i++) {
+        const match = findTrieMatch(children[i], search, index + 1, values);
+        if (match) return match;
+    }
+
+    let best;
+    node.dynamic.forEach(child => {
+        const result = (caseInsensitive ? child.rxCaseInsensitive : child.rx).exec(segment);
+        if (result) {
+            const match = findTrieMatch(child.node, search, index + 1, values.concat(result.slice(1)));
+            if (match && (!best || match.leaf.weight < best.leaf.weight)) best = match;
+        }
+    });
+    return best;
+}
+
+// determine if two templated segments can match the same value by comparing their leading and trailing text
+function piecesOverlap(a, b) {
+    const aFirst = a[0];
+    const bFirst = b[0];
+    const aLast = a[a.length - 1];
+    const bLast = b[b.length - 1];
+    return (aFirst.startsWith(bFirst) || bFirst.startsWith(aFirst)) &&
+        (aLast.endsWith(bLast) || bLast.endsWith(aLast));
+}
@@ -17,6 +17,8 @@
 'use strict';
 const EnforcerRef  = require('../enforcer-ref');
 
+const rxMediaType = /^[^\s\/]+\/[^\s\/]+$/;
+
 module.exports = {
     init: function (data) {
 
@@ -24,6 +26,22 @@ module.exports = {
 
     prototype: {},
 
+    statics: function (scope) {
+        const parsers = scope.bodyParsers = {};
+        return {
+            /**
+             * Define a function that parses a raw string or Buffer request body for a media type.
+             * @param {string} mediaType The media type. Wildcards and "+" suffixes are matched the same as other media types.
+             * @param {function} parser A function that receives an object with the properties exception, mediaType, schema, and value and returns the parsed value.
+             */
+            defineBodyParser: function (mediaType, parser) {
+                if (!mediaType || typeof mediaType !== 'string' || !rxMediaType.test(mediaType)) throw Error('Invalid media type specified. Expected a string like "application/json"');
+                if (typeof parser !== 'function') throw Error('Invalid parser specified. Expected a function');
+                parsers[mediaType.toLowerCase()] = parser;
+            }
+        }
+    },
+
     validator: function ({ major }) {
         return {
             allowed: major === 3,
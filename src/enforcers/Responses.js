@@ -25,7 +25,24 @@ module.exports = {
 
     },
 
-    prototype: {},
+    prototype: {
+
+        /**
+         * Get the response that is used for a response code. An exact code match takes precedence over a range
+         * match (for example 2XX) and a range match takes precedence over the default response.
+         * @param {number|string} code
+         * @returns {Response|undefined}
+         */
+        findMatch: function (code) {
+            code = String(code);
+            if (this.hasOwnProperty(code)) return this[code];
+
+            const range = code[0] + 'XX';
+            if (rxCode.test(code) && this.hasOwnProperty(range)) return this[range];
+
+            if (this.hasOwnProperty('default')) return this.default;
+        }
+    },
 
     validator: function (data) {
         const { major } = data;
@@ -34,10 +51,20 @@ module.exports = {
             additionalProperties: EnforcerRef('Response', {
                 allowed: ({ key }) => key === 'default' || rxCode.test(key) || (major === 3 && rxRange.test(key))
             }),
-            errors: ({ exception, definition }) => {
-                if (Object.keys(definition).length === 0 && !exception.hasException) {
+            errors: ({ exception, definition, warn }) => {
+                const keys = Object.keys(definition);
+                if (keys.length === 0 && !exception.hasException) {
                     exception.message('Response object cannot be empty');
                 }
+
+                // explicit codes take precedence over ranges so the range will not be used for those codes
+                keys.filter(key => rxRange.test(key)).forEach(range => {
+                    const overlaps = keys.filter(key => rxCode.test(key) && key[0] === range[0]);
+                    if (overlaps.length) {
+                        warn.message('Response range ' + range + ' overlaps with the response code' +
+                            (overlaps.length === 1 ? ' ' : 's ') + overlaps.join(', ') + '. The explicit code takes precedence.');
+                    }
+                });
             }
         }
     }
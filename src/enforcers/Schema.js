@@ -40,11 +40,15 @@ const prototype = {
      * Take a serialized (ready for HTTP transmission) value and deserialize it.
      * Converts strings of binary, byte, date, and date-time to JavaScript equivalents.
      * @param {*} value
+     * @param {object} [options]
+     * @param {string} [options.readWriteMode] Set to "read" or "write" to indicate the direction the value is travelling.
+     * @param {boolean} [options.readWriteStrip=false] Remove properties that do not apply to the readWriteMode.
      * @returns {EnforcerResult<*>}
      */
-    deserialize: function(value) {
+    deserialize: function(value, options) {
+        options = normalizeReadWriteOptions(options);
         const exception = Exception('Unable to deserialize value');
-        const result = runDeserialize(exception, new Map(), this, util.copy(value));
+        const result = runDeserialize(exception, new Map(), this, util.copy(value), options);
         return new Result(result, exception);
     },
 
@@ -182,22 +186,30 @@ const prototype = {
      * Take a deserialized (not ready for HTTP transmission) value and serialize it.
      * Converts Buffer and Date objects into string equivalent.
      * @param value
+     * @param {object} [options]
+     * @param {string} [options.readWriteMode] Set to "read" or "write" to indicate the direction the value is travelling.
+     * @param {boolean} [options.readWriteStrip=false] Remove properties that do not apply to the readWriteMode.
      * @returns {EnforcerResult<*>}
      */
-    serialize: function (value) {
+    serialize: function (value, options) {
+        options = normalizeReadWriteOptions(options);
         const exception = Exception('Unable to serialize value');
-        const result = runSerialize(exception, new Map(), this, util.copy(value));
+        const result = runSerialize(exception, new Map(), this, util.copy(value), options);
         return new Result(result, exception);
     },
 
     /**
      * Check to see if the value is valid for this schema.
      * @param {*} value
+     * @param {object} [options]
+     * @param {string} [options.readWriteMode] Set to "read" to disallow write only properties or "write" to disallow read only properties.
+     * @param {boolean} [options.readWriteStrip=false] Ignore properties that do not apply to the readWriteMode instead of reporting them as errors.
      * @returns {EnforcerException|undefined}
      */
-    validate: function(value) {
+    validate: function(value, options) {
+        options = normalizeReadWriteOptions(options);
         const exception = Exception('Invalid value');
-        runValidate(exception, new Map(), this, value, {});
+        runValidate(exception, new Map(), this, value, options);
         if (exception.hasException) return exception;
     }
 };
@@ -319,7 +331,7 @@ module.exports = {
             allowed: ({ parent }) => numericish(parent.result),
             type: ({ parent }) => numericType(parent.result),
             deserialize: ({ exception, parent, result }) => {
-                const value = runDeserialize(exception, new Map(), parent.result, result);
+                const value = runDeserialize(exception, new Map(), parent.result, result, {});
                 return exception.hasException ? result : value;
             },
             errors: ({ exception, parent, result }) => {
@@ -694,6 +706,17 @@ function minMaxValid(minimum, maximum, exclusiveMinimum, exclusiveMaximum) {
     return minimum < maximum || (!exclusiveMinimum && !exclusiveMaximum && minimum === maximum);
 }
 
+function normalizeReadWriteOptions(options) {
+    if (options === undefined || options === null) return {};
+    if (!util.isPlainObject(options)) throw Error('Invalid options specified. Must be a plain object');
+    options = Object.assign({}, options);
+    if (options.hasOwnProperty('readWriteMode') && !['read', 'write'].includes(options.readWriteMode)) {
+        throw Error('Invalid readWriteMode specified. Expected one of: read, write');
+    }
+    if (!options.hasOwnProperty('readWriteStrip')) options.readWriteStrip = false;
+    return options;
+}
+
 function numericish(schema) {
     if (['number', 'integer'].includes(schema.type)) return true;
     const dataTypes = schema.enforcerData.staticData.dataTypes;
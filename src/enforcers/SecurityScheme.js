@@ -17,12 +17,68 @@
 'use strict';
 const EnforcerRef  = require('../enforcer-ref');
 
+const rxAuthorization = /^(\S+) +(.+)$/;
+
 module.exports = {
     init: function (data) {
 
     },
 
-    prototype: {},
+    prototype: {
+        /**
+         * Get the credentials for this security scheme from a request. Credentials are not verified.
+         * @param {object} request
+         * @param {Object<string,string[]>} [request.cookie={}] The parsed cookies.
+         * @param {Object<string,string>} [request.header={}] The headers with lower case names.
+         * @param {Object<string,string[]>} [request.query={}] The parsed query string.
+         * @returns {string|{ username: string, password: string }|undefined} The credentials or undefined if not found.
+         */
+        getCredentials: function (request) {
+            const cookie = request.cookie || {};
+            const header = request.header || {};
+            const query = request.query || {};
+            const type = this.type;
+
+            if (type === 'apiKey') {
+                if (this.in === 'header') return header[this.name.toLowerCase()];
+                const values = this.in === 'query' ? query[this.name] : cookie[this.name];
+                return values && values.length ? values[values.length - 1] : undefined;
+            }
+
+            // all remaining scheme types use the authorization header
+            const match = header.authorization ? rxAuthorization.exec(header.authorization) : null;
+            if (!match) return;
+            const scheme = match[1].toLowerCase();
+            const value = match[2].trim();
+
+            if (type === 'basic' || (type === 'http' && this.scheme.toLowerCase() === 'basic')) {
+                if (scheme !== 'basic') return;
+                const decoded = Buffer.from(value, 'base64').toString();
+                const index = decoded.indexOf(':');
+                if (index === -1) return;
+                return {
+                    username: decoded.substring(0, index),
+                    password: decoded.substring(index + 1)
+                };
+
+            } else if (type === 'http') {
+                if (scheme === this.scheme.toLowerCase()) return value;
+
+            } else if (type === 'oauth2' || type === 'openIdConnect') {
+                if (scheme === 'bearer') return value;
+            }
+        },
+
+        /**
+         * Get the value to use for the WWW-Authenticate header when this security scheme is not satisfied.
+         * @returns {string|undefined}
+         */
+        getChallenge: function () {
+            if (this.type === 'basic') return 'Basic';
+            if (this.type === 'http') return this.scheme[0].toUpperCase() + this.scheme.substr(1).toLowerCase();
+            if (this.type === 'oauth2' || this.type === 'openIdConnect') return 'Bearer';
+        }
+    },
 
     validator: function ({ major }) {
         return {
@@ -16,13 +16,49 @@
  **/
 'use strict';
 const EnforcerRef  = require('../enforcer-ref');
+const Exception    = require('../exception');
+const Result       = require('../result');
+const util         = require('../util');
+
+const rxVariable = /{([^}]+)}/g;
 
 module.exports = {
     init: function (data) {
 
     },
 
-    prototype: {},
+    prototype: {
+
+        /**
+         * Produce a concrete url by replacing each url variable with its supplied value or its default value.
+         * @param {Object<string,string>} [variables={}] A map of variable names to values.
+         * @returns {EnforcerResult<string>}
+         */
+        resolve: function (variables) {
+            if (variables === undefined) variables = {};
+            if (!util.isPlainObject(variables)) throw Error('Invalid variables. Expected a plain object. Received: ' + variables);
+
+            const exception = Exception('Unable to resolve server url');
+            const definitions = this.variables || {};
+            Object.keys(variables).forEach(name => {
+                if (!definitions.hasOwnProperty(name)) exception.message('Variable is not defined: ' + name);
+            });
+
+            const url = this.url.replace(rxVariable, (match, name) => {
+                if (!definitions.hasOwnProperty(name)) return match;
+                const definition = definitions[name];
+                if (!variables.hasOwnProperty(name) || variables[name] === undefined) return definition.default;
+
+                const value = String(variables[name]);
+                if (definition.enum && !definition.enum.includes(value)) {
+                    exception.at(name).message('Value must be one of: ' + definition.enum.join(', ') + '. Received: ' + value);
+                }
+                return value;
+            });
+
+            return new Result(url, exception);
+        }
+    },
 
     validator: function (data) {
         return {
@@ -36,6 +72,27 @@ module.exports = {
                     required: true
                 },
                 variables: EnforcerRef('ServerVariable')
+            },
+            errors: ({ exception, definition, warn }) => {
+                if (typeof definition.url !== 'string') return;
+                const variables = util.isPlainObject(definition.variables) ? definition.variables : {};
+                const used = [];
+                let match;
+                rxVariable.lastIndex = 0;
+                while ((match = rxVariable.exec(definition.url))) {
+                    const name = match[1];
+                    if (!used.includes(name)) used.push(name);
+                }
+
+                const undeclared = used.filter(name => !variables.hasOwnProperty(name));
+                if (undeclared.length) {
+                    exception.message('Server url uses one or more variables that are not defined: ' + undeclared.join(', '));
+                }
+
+                const unused = Object.keys(variables).filter(name => !used.includes(name));
+                if (unused.length) {
+                    warn.message('Server variables are defined but not used in the url: ' + unused.join(', '));
+                }
             }
         }
     }
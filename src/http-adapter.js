@@ -0,0 +1,271 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Exception     = require('./exception');
+const multipart     = require('./multipart');
+const querystring   = require('querystring');
+const Result        = require('./result');
+const util          = require('./util');
+
+const rxJson = /^[^\/]+\/(?:[^+]+\+)?json$/;
+const rxText = /^(?:text\/.+|application\/x-www-form-urlencoded)$/;
+
+module.exports = httpAdapter;
+
+/**
+ * Create a function that takes a Node http.IncomingMessage and http.ServerResponse pair, reads the request body, and
+ * deserializes and validates the request.
+ * @param {OpenApiEnforcer|Promise<OpenApiEnforcer>} openapi
+ * @param {object} [options] Options to pass to OpenApi.request.
+ * @param {number} [options.maxBodySize] The maximum number of bytes to read from the request body. Larger bodies produce a 413 error.
+ * @returns {function(http.IncomingMessage, http.ServerResponse):Promise<EnforcerResult<object>>}
+ */
+function httpAdapter(openapi, options) {
+    if (!openapi || typeof openapi !== 'object') throw Error('Invalid openapi parameter. Expected an OpenApi object or a Promise that resolves to one.');
+    if (options !== undefined && (!options || typeof options !== 'object')) throw Error('Invalid options. Expected an object. Received: ' + options);
+
+    options = Object.assign({}, options);
+    const maxBodySize = options.maxBodySize;
+    if (maxBodySize !== undefined && !(typeof maxBodySize === 'number' && maxBodySize >= 0)) throw Error('Invalid maxBodySize. Expected a non-negative number. Received: ' + maxBodySize);
+    delete options.maxBodySize;
+    const promise = Promise.resolve(openapi);
+
+    return async function (req, res) {
+        const openapi = await promise;
+        const headers = getRequestHeaders(req);
+        const method = req.method || 'get';
+        const path = req.url || '/';
+
+        // identify the operation to determine how to decode the body
+        const [ pathObject, pathError ] = openapi.path(method, path, options);
+        if (pathError) {
+            await readBody(req, maxBodySize);
+            return new Result(undefined, pathError);
+        }
+
+        const request = { headers, method, path };
+        const buffer = await readBody(req, maxBodySize);
+        if (!buffer) {
+            const exception = Exception('Request has one or more errors');
+            exception.message('Request body exceeds the maximum size of ' + maxBodySize + ' bytes');
+            exception.statusCode = 413;
+            return new Result(undefined, exception);
+        } else if (buffer.length) {
+            const [ body, error ] = decodeBody(pathObject.operation, headers['content-type'], buffer);
+            if (error) return new Result(undefined, error);
+            request.body = body;
+        }
+
+        const result = await openapi.request(request, options);
+        const value = result.value;
+        if (value) {
+            value.send = (code, body, responseHeaders, responseOptions) =>
+                send(res, headers, value, code, body, responseHeaders, responseOptions);
+        }
+        return result;
+    };
+}
+
+/**
+ * Create a function that takes a Node http.IncomingMessage and http.ServerResponse pair and writes a mock response.
+ * @param {OpenApiEnforcer|Promise<OpenApiEnforcer>} openapi
+ * @param {object} [options] Options to pass to OpenApi.mock.
+ * @returns {function(http.IncomingMessage, http.ServerResponse):Promise<EnforcerResult<object>>}
+ */
+httpAdapter.mock = function (openapi, options) {
+    if (!openapi || typeof openapi !== 'object') throw Error('Invalid openapi parameter. Expected an OpenApi object or a Promise that resolves to one.');
+    if (options !== undefined && (!options || typeof options !== 'object')) throw Error('Invalid options. Expected an object. Received: ' + options);
+    const promise = Promise.resolve(openapi);
+
+    return async function (req, res) {
+        const openapi = await promise;
+        await readBody(req);
+
+        const result = openapi.mock({
+            headers: getRequestHeaders(req),
+            method: req.method || 'get',
+            path: req.url || '/'
+        }, options);
+        const { error, value } = result;
+        if (error) {
+            const headers = Object.assign({}, error.headers);
+            write(res, error.statusCode || 500, 'text/plain', headers, error.toString());
+        } else {
+            const headers = Object.assign({}, value.headers);
+            delete headers['content-type'];
+            write(res, value.code, value.headers['content-type'], headers, value.body);
+        }
+        return result;
+    };
+};
+
+function decodeBody(operation, contentType, buffer) {
+    const exception = Exception('Request has one or more errors');
+    exception.statusCode = 400;
+
+    const mediaTypes = operation.requestBody
+        ? Object.keys(operation.requestBody.content)
+        : operation.consumes || [];
+    const [ type, ...params ] = (contentType || '').split(';').map(v => v.trim());
+
+    // determine the media type to decode the body with
+    let mediaType = type;
+    if (mediaTypes.length) {
+        const matches = util.findMediaMatch(type || '*/*', mediaTypes);
+        if (!matches.length) {
+            exception.message('Unsupported Media Type: ' + type);
+            exception.statusCode = 415;
+            return new Result(undefined, exception);
+        }
+        if (!mediaType) mediaType = matches[0];
+    }
+
+    // v3 multipart bodies are split into parts by the operation, v2 formData parameters require an object body
+    if (/^multipart\//.test(mediaType)) {
+        return operation.requestBody
+            ? new Result(buffer)
+            : decodeMultipartFormData(exception, contentType, buffer);
+    }
+
+    // determine the character set
+    const charsetParam = params.find(param => /^charset=/i.test(param));
+    const charset = charsetParam ? charsetParam.split('=')[1].replace(/"/g, '').toLowerCase() : 'utf8';
+    if (!Buffer.isEncoding(charset)) {
+        exception.message('Unsupported charset: ' + charset);
+        exception.statusCode = 415;
+        return new Result(undefined, exception);
+    }
+
+    // v3 request bodies are parsed by the operation using the body parser for the media type
+    const string = buffer.toString(charset);
+    if (operation.requestBody) {
+        return new Result(charsetParam || rxText.test(mediaType) || rxJson.test(mediaType) ? string : buffer);
+    }
+
+    if (rxJson.test(mediaType)) {
+        try {
+            return new Result(JSON.parse(string));
+        } catch (err) {
+            exception.message('Unable to parse JSON body: ' + err.message);
+            return new Result(undefined, exception);
+        }
+    } else if (mediaType === 'application/x-www-form-urlencoded') {
+        // v2 formData parameters require an object body
+        return new Result(Object.assign({}, querystring.parse(string)));
+    } else {
+        return new Result(string);
+    }
+}
+
+function decodeMultipartFormData(exception, contentType, buffer) {
+    const boundary = multipart.getBoundary(contentType);
+    if (!boundary) {
+        exception.message('Missing multipart boundary');
+        return new Result(undefined, exception);
+    }
+
+    let parts;
+    try {
+        parts = multipart.parse(buffer, boundary);
+    } catch (err) {
+        exception.message('Unable to parse multipart body: ' + err.message);
+        return new Result(undefined, exception);
+    }
+
+    // file contents are kept byte for byte as binary strings, repeated names produce arrays
+    const result = {};
+    parts.forEach(part => {
+        if (part.name === undefined) return;
+        const value = part.body.toString(part.filename !== undefined ? 'binary' : 'utf8');
+        if (!result.hasOwnProperty(part.name)) {
+            result[part.name] = value;
+        } else if (Array.isArray(result[part.name])) {
+            result[part.name].push(value);
+        } else {
+            result[part.name] = [result[part.name], value];
+        }
+    });
+    return new Result(result);
+}
+
+function getRequestHeaders(req) {
+    const result = {};
+    const headers = req.headers || {};
+    Object.keys(headers).forEach(key => {
+        const value = headers[key];
+        if (value !== undefined) result[key] = Array.isArray(value) ? value.join(', ') : String(value);
+    });
+    return result;
+}
+
+// a body that is larger than the maximum size is read to its end but not kept, and resolves to undefined
+function readBody(req, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            if (!chunks) return;
+            if (typeof chunk === 'string') chunk = Buffer.from(chunk);
+            size += chunk.length;
+            if (maxBodySize !== undefined && size > maxBodySize) {
+                chunks = undefined;
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => resolve(chunks && Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function send(res, requestHeaders, value, code, body, headers, options) {
+    headers = util.lowerCaseObjectProperties(headers || {});
+
+    // determine the response content type
+    const operation = value.operation;
+    if (!headers['content-type'] && body !== undefined) {
+        const isObject = body !== null && typeof body === 'object' && !Buffer.isBuffer(body);
+        const [ matches ] = operation.getResponseContentTypeMatches(code, requestHeaders.accept || '*/*');
+        const concrete = (matches || []).filter(type => !/\*/.test(type));
+        if (concrete.length) {
+            headers['content-type'] = (isObject && concrete.find(type => rxJson.test(type))) || concrete[0];
+        } else if (isObject) {
+            headers['content-type'] = 'application/json';
+        }
+    }
+
+    const result = value.response(code, body, headers, options);
+    const response = result.value;
+    if (result.error) return result;
+
+    write(res, +code, headers['content-type'], response.headers, response.body);
+    return result;
+}
+
+function write(res, code, contentType, headers, body) {
+    // convert the serialized body into data that can be written
+    if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+        body = !contentType || rxJson.test(contentType.split(';')[0].trim())
+            ? JSON.stringify(body)
+            : String(body);
+    }
+
+    res.statusCode = code;
+    if (contentType && body !== undefined) res.setHeader('content-type', contentType);
+    Object.keys(headers).forEach(key => res.setHeader(key, headers[key]));
+    res.end(body);
+}
@@ -0,0 +1,164 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const util      = require('./util');
+
+module.exports = middleware;
+
+/**
+ * Create Express / Connect middleware that deserializes and validates requests and validates and serializes responses.
+ * @param {OpenApiEnforcer|Promise<OpenApiEnforcer>} openapi
+ * @param {object} [options]
+ * @param {Object<string,function>} [options.controllers] A map of operationIds to request handlers.
+ * @param {boolean} [options.handleErrors=true] Send the response for invalid requests. If false then an Error is passed to next.
+ * @param {object} [options.requestOptions] Options to pass to OpenApi.request.
+ * @param {object} [options.responseOptions] Options to pass to the response function.
+ * @returns {function}
+ */
+function middleware(openapi, options) {
+    if (!openapi || typeof openapi !== 'object') throw Error('Invalid openapi parameter. Expected an OpenApi object or a Promise that resolves to one.');
+
+    if (!options) options = {};
+    if (typeof options !== 'object') throw Error('Invalid options. Expected an object. Received: ' + options);
+    options = Object.assign({}, options);
+    if (!options.hasOwnProperty('handleErrors')) options.handleErrors = true;
+    if (options.hasOwnProperty('controllers') && !util.isPlainObject(options.controllers)) throw Error('Invalid controllers option. Expected a plain object.');
+
+    const controllers = options.controllers;
+    const promise = Promise.resolve(openapi);
+
+    return function (req, res, next) {
+        promise
+            .then(openapi => {
+                const request = {
+                    headers: getRequestHeaders(req),
+                    method: req.method,
+                    path: req.originalUrl || req.url
+                };
+                if (hasBody(req) && req.body !== undefined) request.body = req.body;
+                return openapi.request(request, options.requestOptions);
+            })
+            .then(([ value, error ]) => {
+                if (error) {
+                    if (!options.handleErrors) {
+                        const err = Error(error.toString());
+                        err.exception = error;
+                        err.statusCode = error.statusCode || 400;
+                        return next(err);
+                    }
+                    res.statusCode = error.statusCode || 400;
+                    if (error.headers) Object.keys(error.headers).forEach(key => res.setHeader(key, error.headers[key]));
+                    res.setHeader('content-type', 'text/plain');
+                    return res.end(error.toString());
+                }
+
+                const operation = value.operation;
+                req.openapi = {
+                    body: value.body,
+                    cookie: value.cookie,
+                    headers: value.headers,
+                    operation,
+                    path: value.path,
+                    query: value.query
+                };
+                if (value.security) req.openapi.security = value.security;
+                wrapResponse(req, res, next, value, options.responseOptions);
+
+                const operationId = operation.operationId;
+                if (controllers && operationId && controllers.hasOwnProperty(operationId)) {
+                    const result = controllers[operationId](req, res, next);
+                    if (result && typeof result.catch === 'function') result.catch(next);
+                } else {
+                    next();
+                }
+            })
+            .catch(next);
+    };
+}
+
+function getRequestHeaders(req) {
+    const result = {};
+    const headers = req.headers || {};
+    Object.keys(headers).forEach(key => {
+        const value = headers[key];
+        if (value !== undefined) result[key] = Array.isArray(value) ? value.join(', ') : String(value);
+    });
+    return result;
+}
+
+function getResponseHeaders(res) {
+    const result = {};
+    const headers = res.getHeaders();
+    Object.keys(headers).forEach(key => {
+        const value = headers[key];
+        if (value !== undefined) result[key] = Array.isArray(value) ? value.join(', ') : String(value);
+    });
+    return result;
+}
+
+function hasBody(req) {
+    const headers = req.headers || {};
+    return headers.hasOwnProperty('transfer-encoding') ||
+        (headers.hasOwnProperty('content-length') && +headers['content-length'] > 0);
+}
+
+function isJsonBody(body) {
+    return body !== null && typeof body === 'object' && !Buffer.isBuffer(body);
+}
+
+function wrapResponse(req, res, next, value, responseOptions) {
+    const { operation, response } = value;
+    const send = res.send;
+    const json = res.json;
+    let sending = false;
+
+    // express calls res.send from res.json and vice versa so only the outer call is validated
+    if (typeof send === 'function') res.send = function (body) {
+        return sending ? send.apply(res, arguments) : validatedSend(send, body);
+    };
+    if (typeof json === 'function') res.json = function (body) {
+        return sending ? json.apply(res, arguments) : validatedSend(json, body);
+    };
+
+    function validatedSend(sender, body) {
+        sending = true;
+        const code = res.statusCode;
+        const hadContentType = !!res.getHeader('content-type');
+
+        if (!res.getHeader('content-type') && req.headers && req.headers.accept) {
+            const [ matches ] = operation.getResponseContentTypeMatches(code, req.headers.accept);
+            if (matches && matches.length) res.setHeader('content-type', matches[0]);
+        }
+        if (!res.getHeader('content-type') && (sender === json || isJsonBody(body))) res.setHeader('content-type', 'application/json');
+
+        const [ result, error ] = response(code, body, getResponseHeaders(res), responseOptions);
+        if (error) {
+            // let the error handler send its own response without it being validated against the operation
+            res.send = send;
+            res.json = json;
+            if (!hadContentType) res.removeHeader('content-type');
+
+            const err = Error(error.toString());
+            err.exception = error;
+            err.statusCode = 500;
+            return next(err);
+        }
+
+        Object.keys(result.headers).forEach(key => res.setHeader(key, result.headers[key]));
+        return sender.call(res, result.body);
+    }
+}
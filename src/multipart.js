@@ -0,0 +1,91 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+const rxBoundary = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i;
+const rxDispositionParam = /;\s*([a-z*]+)=(?:"((?:[^"\\]|\\.)*)"|([^;\s]+))/gi;
+
+exports.getBoundary = getBoundary;
+exports.parse = parse;
+
+/**
+ * Get the boundary from a multipart content type header.
+ * @param {string} contentType
+ * @returns {string|undefined}
+ */
+function getBoundary(contentType) {
+    const match = rxBoundary.exec(contentType || '');
+    if (match) return match[1] || match[2];
+}
+
+/**
+ * Split a multipart body into its parts.
+ * @param {Buffer|string} body
+ * @param {string} boundary
+ * @returns {Array<{ body: Buffer, filename: string, headers: Object<string,string>, name: string }>}
+ * @throws {Error} If the body is not formatted properly.
+ */
+function parse(body, boundary) {
+    if (typeof body === 'string') body = Buffer.from(body, 'binary');
+    const delimiter = Buffer.from('\r\n--' + boundary);
+    const parts = [];
+
+    // the first delimiter may not be preceded by a line break
+    let index = body.indexOf(delimiter.slice(2));
+    if (index === -1) throw Error('Missing multipart boundary: ' + boundary);
+    index += delimiter.length - 2;
+
+    while (true) {
+        // the closing delimiter is followed by two hyphens
+        if (body[index] === 45 && body[index + 1] === 45) return parts;
+        if (body[index] !== 13 || body[index + 1] !== 10) throw Error('Invalid multipart boundary line');
+        index += 2;
+
+        const end = body.indexOf(delimiter, index);
+        if (end === -1) throw Error('Missing closing multipart boundary');
+        parts.push(parsePart(body.slice(index, end)));
+        index = end + delimiter.length;
+    }
+}
+
+function parsePart(buffer) {
+    const separator = buffer.indexOf('\r\n\r\n');
+    const head = separator === -1 ? buffer.toString('binary') : buffer.slice(0, separator).toString('binary');
+    const headers = {};
+    head.split('\r\n').forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) headers[line.substr(0, index).trim().toLowerCase()] = line.substr(index + 1).trim();
+    });
+
+    const part = {
+        body: separator === -1 ? Buffer.alloc(0) : buffer.slice(separator + 4),
+        headers
+    };
+
+    // get the name and file name from the content disposition
+    const disposition = headers['content-disposition'] || '';
+    let match;
+    rxDispositionParam.lastIndex = 0;
+    while ((match = rxDispositionParam.exec(disposition))) {
+        const key = match[1].toLowerCase();
+        const value = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+        if (key === 'name') part.name = value;
+        if (key === 'filename') part.filename = value;
+    }
+
+    return part;
+}
@@ -0,0 +1,159 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Exception     = require('./exception');
+const Result        = require('./result');
+
+const rxExpression = /^\$(url|method|statusCode|request|response)(?:\.(header|query|path|body)(?:\.(.+)|#(.*))?)?$/;
+const rxJsonPointer = /^(?:\/(?:[^~\/]|~[01])*)*$/;
+const rxTemplate = /{(\$[^}]*)}/g;
+const rxToken = /^[!#$%&'*+\-.^_`|~0-9a-z]+$/i;
+
+exports.evaluate = evaluate;
+exports.evaluateTemplate = evaluateTemplate;
+exports.getInvalidExpressions = getInvalidExpressions;
+exports.parse = parse;
+exports.resolvePointer = resolvePointer;
+
+/**
+ * Evaluate a runtime expression, for example "$request.body#/callbackUrl".
+ * @param {string} expression
+ * @param {object} context
+ * @param {string} [context.method] The request method, used for $method.
+ * @param {object} [context.request] The request, with body, headers, path, and query properties.
+ * @param {object} [context.response] The response, with body and headers properties.
+ * @param {string|number} [context.statusCode] The response status code, used for $statusCode.
+ * @param {string} [context.url] The request url, used for $url.
+ * @returns {EnforcerResult}
+ */
+function evaluate(expression, context) {
+    const exception = Exception('Unable to evaluate runtime expression: ' + expression);
+    const parsed = parse(expression);
+    if (!parsed) {
+        exception.message('Invalid runtime expression');
+        return new Result(undefined, exception);
+    }
+
+    const { type, source, name, pointer } = parsed;
+    let value;
+    if (type === 'url' || type === 'method' || type === 'statusCode') {
+        value = context[type];
+    } else {
+        const object = context[type] || {};
+        if (source === 'body') {
+            value = pointer === undefined ? object.body : resolvePointer(object.body, pointer);
+        } else if (source === 'header') {
+            const headers = object.headers || {};
+            const key = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+            if (key !== undefined) value = headers[key];
+        } else if (object[source] && object[source].hasOwnProperty(name)) {
+            value = object[source][name];
+        }
+    }
+
+    if (value === undefined) exception.message('No value found');
+    return new Result(value, exception);
+}
+
+/**
+ * Replace each runtime expression that is wrapped in curly braces with its evaluated value, for example
+ * "{$request.body#/callbackUrl}/data". Curly braces that do not start with "$" are left as they are.
+ * @param {string} template
+ * @param {object} context See the evaluate function.
+ * @returns {EnforcerResult<string>}
+ */
+function evaluateTemplate(template, context) {
+    const exception = Exception('Unable to evaluate expression: ' + template);
+    const result = template.replace(rxTemplate, (match, expression) => {
+        const [ value, error ] = evaluate(expression, context);
+        if (error) {
+            exception.push(error);
+            return match;
+        }
+        return toString(value);
+    });
+    return new Result(result, exception);
+}
+
+/**
+ * Get the syntactically invalid runtime expressions within a value. A string that starts with "$" is a runtime
+ * expression, otherwise each expression that is wrapped in curly braces and starts with "$" is checked.
+ * @param {*} value
+ * @returns {string[]}
+ */
+function getInvalidExpressions(value) {
+    if (typeof value !== 'string') return [];
+    if (value[0] === '$') return parse(value) ? [] : [value];
+
+    const result = [];
+    let match;
+    rxTemplate.lastIndex = 0;
+    while ((match = rxTemplate.exec(value))) {
+        if (!parse(match[1])) result.push(match[1]);
+    }
+    return result;
+}
+
+/**
+ * Parse a runtime expression into its parts.
+ * @param {string} expression
+ * @returns {{ type:string, source:string, name:string, pointer:string }|undefined} Undefined if the expression is not valid.
+ */
+function parse(expression) {
+    const match = typeof expression === 'string' ? rxExpression.exec(expression) : null;
+    if (!match) return;
+
+    const [ , type, source, name, pointer ] = match;
+    if (type === 'url' || type === 'method' || type === 'statusCode') {
+        if (source !== undefined) return;
+    } else if (source === undefined) {
+        return;
+    } else if (source === 'body') {
+        if (name !== undefined || (pointer !== undefined && !rxJsonPointer.test(pointer))) return;
+    } else if (type === 'response' && source !== 'header') {
+        return;
+    } else if (name === undefined || (source === 'header' && !rxToken.test(name))) {
+        return;
+    }
+    return { type, source, name, pointer };
+}
+
+// get the value at a JSON pointer within a URI fragment
+function resolvePointer(value, pointer) {
+    if (pointer === '') return value;
+    if (pointer[0] !== '/') return;
+    let keys;
+    try {
+        keys = pointer.substr(1).split('/')
+            .map(key => decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~'));
+    } catch (err) {
+        return;
+    }
+    const length = keys.length;
+    for (let i = 0; i < length; i++) {
+        if (!value || typeof value !== 'object' || !value.hasOwnProperty(keys[i])) return;
+        value = value[keys[i]];
+    }
+    return value;
+}
+
+function toString(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return value.toString();
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
@@ -21,7 +21,7 @@ const Value     = require('./value');
 
 module.exports = runDeserialize;
 
-function runDeserialize(exception, map, schema, originalValue) {
+function runDeserialize(exception, map, schema, originalValue, options) {
     const { serialize, value } = Value.getAttributes(originalValue);
     if (!serialize) return originalValue;
 
@@ -44,15 +44,21 @@ function runDeserialize(exception, map, schema, originalValue) {
         const result = {};
         const exception2 = exception.at('allOf');
         schema.allOf.forEach((schema, index) => {
-            const v = runDeserialize(exception2.at(index), map, schema, originalValue);
+            const v = runDeserialize(exception2.at(index), map, schema, originalValue, options);
             Object.assign(result, v)
         });
-        return Object.assign(value, result);
+        Object.assign(value, result);
+
+        // a property stripped by one schema may have been merged back in by another
+        if (options.readWriteStrip && util.isPlainObject(value)) {
+            util.getReadWriteExcluded(schema, options.readWriteMode).forEach(key => delete value[key]);
+        }
+        return value;
 
     } else if (schema.anyOf || schema.oneOf) {
         let subSchema;
         if (schema.discriminator && (subSchema = schema.discriminate(value))) {
-            Object.assign(value, runDeserialize(exception, map, subSchema, originalValue));
+            Object.assign(value, runDeserialize(exception, map, subSchema, originalValue, options));
         } else {
             const key = schema.anyOf ? 'anyOf' : 'oneOf';
             const exceptions = [];
@@ -60,7 +66,7 @@ function runDeserialize(exception, map, schema, originalValue) {
             schema[key].forEach(subSchema => {
                 const childException = new Exception('');
                 const mapCopy = new Map(map);
-                const result = runDeserialize(childException, mapCopy, subSchema, originalValue);
+                const result = runDeserialize(childException, mapCopy, subSchema, originalValue, options);
                 if (childException.hasException) {
                     exceptions.push(childException)
                 } else {
@@ -104,7 +110,7 @@ function runDeserialize(exception, map, schema, originalValue) {
         if (Array.isArray(value)) {
             if (schema.items) {
                 value.forEach((v, i) => {
-                    value[i] = runDeserialize(exception.at(i), map, schema.items, Value.inherit(v, { serialize }));
+                    value[i] = runDeserialize(exception.at(i), map, schema.items, Value.inherit(v, { serialize }), options);
                 });
             }
             return value;
@@ -118,16 +124,20 @@ function runDeserialize(exception, map, schema, originalValue) {
             const properties = schema.properties || {};
             Object.keys(value).forEach(key => {
                 if (properties.hasOwnProperty(key)) {
-                    value[key] = runDeserialize(exception.at(key), map, properties[key], Value.inherit(value[key], { serialize }));
+                    if (options.readWriteStrip && util.isReadWriteExcluded(properties[key], options.readWriteMode)) {
+                        delete value[key];
+                    } else {
+                        value[key] = runDeserialize(exception.at(key), map, properties[key], Value.inherit(value[key], { serialize }), options);
+                    }
                 } else if (additionalProperties) {
-                    value[key] = runDeserialize(exception.at(key), map, additionalProperties, Value.inherit(value[key], { serialize }));
+                    value[key] = runDeserialize(exception.at(key), map, additionalProperties, Value.inherit(value[key], { serialize }), options);
                 }
             });
 
             if (schema.discriminator) {
                 const subSchema = schema.discriminate(value);
                 if (subSchema) {
-                    Object.assign(value, runDeserialize(exception, map, subSchema, originalValue));
+                    Object.assign(value, runDeserialize(exception, map, subSchema, originalValue, options));
                 } else {
                     exception.message('Unable to discriminate to schema');
                 }
@@ -21,7 +21,7 @@ const Value     = require('./value');
 
 module.exports = runSerialize;
 
-function runSerialize(exception, map, schema, originalValue) {
+function runSerialize(exception, map, schema, originalValue, options) {
     const { serialize, value } = Value.getAttributes(originalValue);
     if (!serialize) return originalValue;
 
@@ -43,15 +43,21 @@ function runSerialize(exception, map, schema, originalValue) {
         const result = {};
         const allOfException = exception.nest('Unable to serialize allOf');
         schema.allOf.forEach((schema, index) => {
-            const v = runSerialize(allOfException.at(index), map, schema, originalValue);
+            const v = runSerialize(allOfException.at(index), map, schema, originalValue, options);
             Object.assign(result, v)
         });
-        return Object.assign(value, result);
+        Object.assign(value, result);
+
+        // a property stripped by one schema may have been merged back in by another
+        if (options.readWriteStrip && util.isPlainObject(value)) {
+            util.getReadWriteExcluded(schema, options.readWriteMode).forEach(key => delete value[key]);
+        }
+        return value;
 
     } else if (schema.anyOf || schema.oneOf) {
         let subSchema;
         if (schema.discriminator && (subSchema = schema.discriminate(value))) {
-            Object.assign(value, runSerialize(exception, map, subSchema, originalValue));
+            Object.assign(value, runSerialize(exception, map, subSchema, originalValue, options));
         } else {
             const key = schema.anyOf ? 'anyOf' : 'oneOf';
             const exceptions = [];
@@ -59,7 +65,7 @@ function runSerialize(exception, map, schema, originalValue) {
             schema[key].forEach(subSchema => {
                 const childException = new Exception('');
                 const mapCopy = new Map(map);
-                const result = runSerialize(childException, mapCopy, subSchema, originalValue);
+                const result = runSerialize(childException, mapCopy, subSchema, originalValue, options);
                 if (childException.hasException) {
                     exceptions.push(childException)
                 } else {
@@ -103,7 +109,7 @@ function runSerialize(exception, map, schema, originalValue) {
         if (Array.isArray(value)) {
             if (schema.items) {
                 value.forEach((v, i) => {
-                    value[i] = runSerialize(exception.at(i), map, schema.items, Value.inherit(v, { serialize }));
+                    value[i] = runSerialize(exception.at(i), map, schema.items, Value.inherit(v, { serialize }), options);
                 })
             }
             return value;
@@ -117,16 +123,20 @@ function runSerialize(exception, map, schema, originalValue) {
             const properties = schema.properties || {};
             Object.keys(value).forEach(key => {
                 if (properties.hasOwnProperty(key)) {
-                    value[key] = runSerialize(exception.at(key), map, properties[key], value[key]);
+                    if (options.readWriteStrip && util.isReadWriteExcluded(properties[key], options.readWriteMode)) {
+                        delete value[key];
+                    } else {
+                        value[key] = runSerialize(exception.at(key), map, properties[key], value[key], options);
+                    }
                 } else if (additionalProperties) {
-                    value[key] = runSerialize(exception.at(key), map, additionalProperties, value[key]);
+                    value[key] = runSerialize(exception.at(key), map, additionalProperties, value[key], options);
                 }
             });
 
             if (schema.discriminator) {
                 const subSchema = schema.discriminate(value);
                 if (subSchema) {
-                    Object.assign(value, runSerialize(exception, map, subSchema, originalValue));
+                    Object.assign(value, runSerialize(exception, map, subSchema, originalValue, options));
                 } else {
                     exception.message('Unable to discriminate to schema');
                 }
@@ -21,7 +21,7 @@ const Value             = require('./value');
 
 module.exports = runValidate;
 
-function runValidate(exception, map, schema, originalValue, options) {
+function runValidate(exception, map, schema, originalValue, options, readWriteExcluded) {
     const { validate, value } = Value.getAttributes(originalValue);
     if (!validate) return originalValue;
 
@@ -43,9 +43,11 @@ function runValidate(exception, map, schema, originalValue, options) {
     if (value === null && (schema.nullable || schema['x-nullable'])) return;
 
     if (schema.allOf) {
+        // read only and write only properties defined by any of the schemas are not required by the others
+        const excluded = util.getReadWriteExcluded(schema, options.readWriteMode, (readWriteExcluded || []).slice());
         const child = exception.nest('Did not validate against all schemas');
         schema.allOf.forEach((subSchema, index) => {
-            runValidate(child.at(index), map, subSchema, originalValue, options);
+            runValidate(child.at(index), map, subSchema, originalValue, options, excluded);
         });
 
     } else if (schema.anyOf) {
@@ -142,16 +144,30 @@ function runValidate(exception, map, schema, originalValue, options) {
         if (!util.isPlainObject(value)) {
             exception.message('Expected a non-null object. Received: ' + util.smart(value));
         } else {
+            const readWriteMode = options.readWriteMode;
             const properties = schema.properties || {};
-            const required = schema.required ? schema.required.concat() : [];
             const keys = Object.keys(value);
 
+            // read only properties are not required when writing and write only properties are not required when reading
+            const required = schema.required
+                ? schema.required.filter(key => !util.isReadWriteExcluded(properties[key], readWriteMode) &&
+                    !(readWriteExcluded && readWriteExcluded.includes(key)))
+                : [];
+
             // validate each property in the value
             keys.forEach(key => {
                 const index = required.indexOf(key);
                 if (index !== -1) required.splice(index, 1);
                 if (properties.hasOwnProperty(key)) {
-                    runValidate(exception.at(key), map, properties[key], value[key], options);
+                    if (util.isReadWriteExcluded(properties[key], readWriteMode)) {
+                        if (!options.readWriteStrip) {
+                            exception.at(key).message(readWriteMode === 'write'
+                                ? 'Cannot write to read only property'
+                                : 'Cannot read from write only property');
+                        }
+                    } else {
+                        runValidate(exception.at(key), map, properties[key], value[key], options);
+                    }
                 } else {
                     if (schema.additionalProperties === false) {
                         exception.at(key).message('Property not allowed');
@@ -35,12 +35,14 @@ module.exports = {
     freeze,
     getDateFromValidDateString,
     getDefinitionType,
+    getReadWriteExcluded,
     isDate,
     isNumber,
     isInteger,
     isPlainObject,
     isObject,
     isObjectStringMap,
+    isReadWriteExcluded,
     lowerCaseObjectProperties,
     mapObject,
     parseCookieString,
@@ -284,6 +286,42 @@ function isObjectStringMap (obj) {
     return true;
 }
 
+/**
+ * Get the names of the properties that are excluded for the read / write direction across a
+ * schema and its allOf schemas.
+ * @param {Schema} schema
+ * @param {string} [readWriteMode] Either "read" or "write".
+ * @param {string[]} [result] Names that are already excluded.
+ * @param {Schema[]} [visited]
+ * @returns {string[]}
+ */
+function getReadWriteExcluded (schema, readWriteMode, result = [], visited = []) {
+    if (visited.includes(schema)) return result;
+    visited.push(schema);
+
+    const properties = schema.properties || {};
+    Object.keys(properties).forEach(key => {
+        if (isReadWriteExcluded(properties[key], readWriteMode) && !result.includes(key)) result.push(key);
+    });
+    if (schema.allOf) schema.allOf.forEach(subSchema => getReadWriteExcluded(subSchema, readWriteMode, result, visited));
+    return result;
+}
+
+/**
+ * Determine whether a schema property should be excluded for the read / write direction.
+ * Read only properties are excluded when writing (requests) and write only properties are
+ * excluded when reading (responses).
+ * @param {Schema} schema
+ * @param {string} [readWriteMode] Either "read" or "write".
+ * @returns {boolean}
+ */
+function isReadWriteExcluded (schema, readWriteMode) {
+    if (!schema) return false;
+    if (readWriteMode === 'write') return schema.readOnly === true;
+    if (readWriteMode === 'read') return schema.writeOnly === true;
+    return false;
+}
+
 // create shallow copy of the object but make all property names lower case
 function lowerCaseObjectProperties (obj) {
     const result = {};
@@ -304,9 +342,10 @@ function mapObject (object, callback) {
 function parseCookieString(str) {
     const result = {};
     str.split(/; */).forEach(pair => {
-        const [key, value] = pair.split('=');
+        const index = pair.indexOf('=');
+        const key = index === -1 ? pair : pair.substring(0, index);
         if (!result[key]) result[key] = [];
-        result[key].push(value || '');
+        result[key].push(index === -1 ? '' : pair.substring(index + 1));
     });
     return result;
 }
@@ -0,0 +1,332 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+const rxAttribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const rxEntity = /&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|amp|quot|apos));/gi;
+const rxStartTag = /<([^\s\/>!?]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const rxXmlns = /^xmlns(?::|$)/;
+
+const entities = { amp: '&', apos: "'", gt: '>', lt: '<', quot: '"' };
+
+exports.parse = parse;
+exports.stringify = stringify;
+
+/**
+ * Parse an XML document into a plain value using the Xml objects of the schema to identify attributes, elements,
+ * and wrapped arrays.
+ * @param {string} string
+ * @param {Schema} [schema]
+ * @returns {*}
+ * @throws {Error} If the XML is not well formed.
+ */
+function parse(string, schema) {
+    return fromElement(parseDocument(string), schema);
+}
+
+/**
+ * Convert a value into an XML document using the Xml objects of the schema to produce attributes, elements,
+ * wrapped arrays, and namespaces.
+ * @param {*} value
+ * @param {Schema} [schema]
+ * @returns {string}
+ */
+function stringify(value, schema) {
+    const xml = getXml(schema);
+    const name = xml.name || getComponentName(schema) || 'root';
+    return toElement(name, value, schema);
+}
+
+function decode(value) {
+    return value.replace(rxEntity, (match, hex, decimal, name) => {
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+        return entities[name.toLowerCase()];
+    });
+}
+
+function encode(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function fromElement(element, schema) {
+    const type = getType(schema);
+
+    if (type === 'array') {
+        const items = schema.items;
+        return element.children.map(child => fromElement(child, items));
+
+    } else if (type === 'object') {
+        const result = {};
+        const properties = getProperties(schema);
+        const used = [];
+
+        Object.keys(properties).forEach(key => {
+            const property = properties[key];
+            const xml = getXml(property);
+            const name = xml.name || key;
+
+            if (xml.attribute) {
+                const attribute = Object.keys(element.attributes).find(attr => !rxXmlns.test(attr) && localName(attr) === name);
+                if (attribute !== undefined) result[key] = primitive(element.attributes[attribute], property);
+
+            } else if (getType(property) === 'array') {
+                const items = property.items;
+                const itemName = getXml(items).name || key;
+                if (xml.wrapped) {
+                    const wrapper = element.children.find(child => localName(child.name) === name);
+                    if (wrapper) {
+                        used.push(wrapper);
+                        result[key] = wrapper.children.map(child => fromElement(child, items));
+                    }
+                } else {
+                    const children = element.children.filter(child => localName(child.name) === itemName);
+                    if (children.length) {
+                        used.push.apply(used, children);
+                        result[key] = children.map(child => fromElement(child, items));
+                    }
+                }
+
+            } else {
+                const child = element.children.find(child => localName(child.name) === name);
+                if (child) {
+                    used.push(child);
+                    result[key] = fromElement(child, property);
+                }
+            }
+        });
+
+        // elements that do not match a property are additional properties
+        const additionalProperties = schema.additionalProperties;
+        if (additionalProperties !== false) {
+            const additionalSchema = typeof additionalProperties === 'object' ? additionalProperties : undefined;
+            element.children
+                .filter(child => !used.includes(child))
+                .forEach(child => addUntypedProperty(result, localName(child.name), fromElement(child, additionalSchema)));
+        }
+        return result;
+
+    } else if (type === undefined && element.children.length) {
+        const result = {};
+        Object.keys(element.attributes)
+            .filter(attr => !rxXmlns.test(attr))
+            .forEach(attr => result[localName(attr)] = element.attributes[attr]);
+        element.children.forEach(child => addUntypedProperty(result, localName(child.name), fromElement(child)));
+        return result;
+
+    } else {
+        return primitive(element.text, schema);
+    }
+}
+
+function addUntypedProperty(object, key, value) {
+    if (!object.hasOwnProperty(key)) {
+        object[key] = value;
+    } else if (Array.isArray(object[key])) {
+        object[key].push(value);
+    } else {
+        object[key] = [object[key], value];
+    }
+}
+
+function getComponentName(schema) {
+    if (!schema || !schema.enforcerData) return;
+    const root = schema.enforcerData.root.result;
+    const schemas = root && ((root.components && root.components.schemas) || root.definitions);
+    if (schemas) return Object.keys(schemas).find(key => schemas[key] === schema);
+}
+
+function getProperties(schema) {
+    const properties = {};
+    if (schema.allOf) schema.allOf.forEach(item => Object.assign(properties, getProperties(item)));
+    if (schema.properties) Object.assign(properties, schema.properties);
+    return properties;
+}
+
+function getType(schema) {
+    if (!schema) return;
+    if (schema.type) return schema.type;
+    if (schema.properties || schema.additionalProperties) return 'object';
+    if (schema.items) return 'array';
+    if (schema.allOf) {
+        const item = schema.allOf.find(item => getType(item));
+        return item ? getType(item) : undefined;
+    }
+}
+
+function getXml(schema) {
+    return (schema && schema.xml) || {};
+}
+
+function localName(name) {
+    const index = name.indexOf(':');
+    return index === -1 ? name : name.substr(index + 1);
+}
+
+function parseDocument(string) {
+    const length = string.length;
+    const stack = [];
+    let index = string.charCodeAt(0) === 0xFEFF ? 1 : 0;
+    let root;
+
+    function skipPast(terminator, description) {
+        const end = string.indexOf(terminator, index);
+        if (end === -1) throw Error('Unterminated ' + description);
+        const content = string.substring(index, end);
+        index = end + terminator.length;
+        return content;
+    }
+
+    while (index < length) {
+        const current = stack[stack.length - 1];
+
+        if (string.startsWith('<?', index)) {
+            skipPast('?>', 'processing instruction');
+
+        } else if (string.startsWith('<!--', index)) {
+            skipPast('-->', 'comment');
+
+        } else if (string.startsWith('<![CDATA[', index)) {
+            index += 9;
+            const content = skipPast(']]>', 'CDATA section');
+            if (!current) throw Error('CDATA section outside of the root element');
+            current.text += content;
+
+        } else if (string.startsWith('<!', index)) {
+            const end = string.indexOf('[', index);
+            skipPast(end !== -1 && end < string.indexOf('>', index) ? ']>' : '>', 'document type declaration');
+
+        } else if (string.startsWith('</', index)) {
+            index += 2;
+            const name = skipPast('>', 'closing tag').trim();
+            const element = stack.pop();
+            if (!element || element.name !== name) throw Error('Unexpected closing tag: ' + name);
+
+        } else if (string[index] === '<') {
+            rxStartTag.lastIndex = index;
+            const match = rxStartTag.exec(string);
+            if (!match) throw Error('Invalid tag at position ' + index);
+            index = rxStartTag.lastIndex;
+
+            const element = { attributes: {}, children: [], name: match[1], text: '' };
+            let attribute;
+            rxAttribute.lastIndex = 0;
+            while ((attribute = rxAttribute.exec(match[2]))) {
+                element.attributes[attribute[1]] = decode(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+            }
+
+            if (current) {
+                current.children.push(element);
+            } else if (root) {
+                throw Error('Multiple root elements');
+            } else {
+                root = element;
+            }
+            if (!match[3]) stack.push(element);
+
+        } else {
+            const end = string.indexOf('<', index);
+            const text = string.substring(index, end === -1 ? length : end);
+            index = end === -1 ? length : end;
+            if (current) {
+                current.text += decode(text);
+            } else if (text.trim()) {
+                throw Error('Text outside of the root element');
+            }
+        }
+    }
+
+    if (stack.length) throw Error('Missing closing tag: ' + stack.pop().name);
+    if (!root) throw Error('Missing root element');
+    return root;
+}
+
+function primitive(value, schema) {
+    const type = getType(schema);
+    if (type === 'boolean') {
+        value = value.trim();
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+    } else if (type === 'integer' || type === 'number') {
+        const number = Number(value.trim());
+        if (value.trim() && !isNaN(number)) return number;
+    }
+    return value;
+}
+
+function qualify(xml, name) {
+    return xml.prefix ? xml.prefix + ':' + name : name;
+}
+
+function toElement(name, value, schema) {
+    const xml = getXml(schema);
+    const type = getType(schema) || (Array.isArray(value) ? 'array' : value && typeof value === 'object' ? 'object' : undefined);
+    const tag = qualify(xml, name);
+    let start = '<' + tag;
+    if (xml.namespace) start += ' xmlns' + (xml.prefix ? ':' + xml.prefix : '') + '="' + encode(xml.namespace) + '"';
+
+    if (value === undefined || value === null) return start + '/>';
+
+    let content = '';
+    if (type === 'array' && Array.isArray(value)) {
+        const items = schema && schema.items;
+        const itemName = getXml(items).name || name;
+        content = value.map(item => toElement(itemName, item, items)).join('');
+
+    } else if (type === 'object' && typeof value === 'object') {
+        const properties = schema ? getProperties(schema) : {};
+        const additionalProperties = schema && typeof schema.additionalProperties === 'object'
+            ? schema.additionalProperties
+            : undefined;
+
+        Object.keys(value).forEach(key => {
+            const item = value[key];
+            if (item === undefined || item === null) return;
+
+            const property = properties[key] || additionalProperties;
+            const propertyXml = getXml(property);
+            const propertyName = propertyXml.name || key;
+
+            if (propertyXml.attribute) {
+                if (propertyXml.namespace && propertyXml.prefix) start += ' xmlns:' + propertyXml.prefix + '="' + encode(propertyXml.namespace) + '"';
+                start += ' ' + qualify(propertyXml, propertyName) + '="' + encode(item) + '"';
+
+            } else if (Array.isArray(item) && (!property || getType(property) === 'array')) {
+                if (propertyXml.wrapped) {
+                    content += toElement(propertyName, item, property);
+                } else {
+                    const items = property && property.items;
+                    const itemName = getXml(items).name || key;
+                    content += item.map(value => toElement(itemName, value, items)).join('');
+                }
+
+            } else {
+                content += toElement(propertyName, item, property);
+            }
+        });
+
+    } else {
+        content = encode(Buffer.isBuffer(value) ? value.toString() : value);
+    }
+
+    return start + '>' + content + '</' + tag + '>';
+}
@@ -146,6 +146,14 @@ describe('definitions/open-api', () => {
 
             it('can be an object of links', () => {
                 const [ , err ] = oas(3, {
+                    paths: {
+                        '/': {
+                            get: {
+                                operationId: 'op',
+                                responses: { 200: { description: '' } }
+                            }
+                        }
+                    },
                     components: {
                         links: {
                             linkA: {
@@ -1646,6 +1646,29 @@ describe('definition/schema', () => {
                 expect(err).to.equal(undefined);
             });
 
+            it('can strip read only properties when writing', () => {
+                const [ schema ] = Enforcer.v3_0.Schema({
+                    type: 'object',
+                    properties: {
+                        id: { type: 'number', readOnly: true },
+                        created: { type: 'string', format: 'date' }
+                    }
+                });
+                const [ value ] = schema.deserialize({ id: 1, created: '2000-01-01' }, { readWriteMode: 'write', readWriteStrip: true });
+                expect(value).to.deep.equal({ created: new Date('2000-01-01') });
+            });
+
+            it('does not strip read only properties without the strip option', () => {
+                const [ schema ] = Enforcer.v3_0.Schema({
+                    type: 'object',
+                    properties: {
+                        id: { type: 'number', readOnly: true }
+                    }
+                });
+                const [ value ] = schema.deserialize({ id: 1 }, { readWriteMode: 'write' });
+                expect(value).to.deep.equal({ id: 1 });
+            });
+
         });
 
     });
@@ -2825,6 +2848,18 @@ describe('definition/schema', () => {
                 expect(err).to.equal(undefined);
             });
 
+            it('can strip write only properties when reading', () => {
+                const [ schema ] = Enforcer.v3_0.Schema({
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        password: { type: 'string', writeOnly: true }
+                    }
+                });
+                const [ value ] = schema.serialize({ name: 'Bob', password: 'secret' }, { readWriteMode: 'read', readWriteStrip: true });
+                expect(value).to.deep.equal({ name: 'Bob' });
+            });
+
         });
 
     });
@@ -3698,6 +3733,114 @@ describe('definition/schema', () => {
 
             });
 
+            describe('readOnly and writeOnly', () => {
+                before(() => {
+                    [ schema ] = Enforcer.v3_0.Schema({
+                        type: 'object',
+                        required: ['id', 'name', 'password'],
+                        properties: {
+                            id: { type: 'number', readOnly: true },
+                            name: { type: 'string' },
+                            password: { type: 'string', writeOnly: true }
+                        }
+                    });
+                });
+
+                it('allows read only and write only properties without a read write mode', () => {
+                    const errors = schema.validate({ id: 1, name: 'Bob', password: 'secret' });
+                    expect(errors).to.be.undefined;
+                });
+
+                it('does not allow read only properties when writing', () => {
+                    const errors = schema.validate({ id: 1, name: 'Bob', password: 'secret' }, { readWriteMode: 'write' });
+                    expect(errors).to.match(/at: id\s+Cannot write to read only property/);
+                    expect(errors.count).to.equal(1);
+                });
+
+                it('does not allow write only properties when reading', () => {
+                    const errors = schema.validate({ id: 1, name: 'Bob', password: 'secret' }, { readWriteMode: 'read' });
+                    expect(errors).to.match(/at: password\s+Cannot read from write only property/);
+                    expect(errors.count).to.equal(1);
+                });
+
+                it('does not require read only properties when writing', () => {
+                    const errors = schema.validate({ name: 'Bob', password: 'secret' }, { readWriteMode: 'write' });
+                    expect(errors).to.be.undefined;
+                });
+
+                it('does not require write only properties when reading', () => {
+                    const errors = schema.validate({ id: 1, name: 'Bob' }, { readWriteMode: 'read' });
+                    expect(errors).to.be.undefined;
+                });
+
+                it('still requires applicable properties', () => {
+                    const errors = schema.validate({ id: 1, name: 'Bob' }, { readWriteMode: 'write' });
+                    expect(errors).to.match(/One or more required properties missing: password/);
+                });
+
+                it('ignores inapplicable properties when stripping', () => {
+                    const errors = schema.validate({ id: 1, name: 'Bob', password: 'secret' }, { readWriteMode: 'read', readWriteStrip: true });
+                    expect(errors).to.be.undefined;
+                });
+
+                it('throws an error for an invalid read write mode', () => {
+                    expect(() => schema.validate({}, { readWriteMode: 'both' })).to.throw(/Invalid readWriteMode specified/);
+                });
+
+                describe('allOf', () => {
+                    let allOfSchema;
+
+                    before(() => {
+                        [ allOfSchema ] = Enforcer.v3_0.Schema({
+                            allOf: [
+                                {
+                                    type: 'object',
+                                    required: ['id', 'name', 'password'],
+                                    properties: {
+                                        name: { type: 'string' },
+                                        nested: {
+                                            type: 'object',
+                                            required: ['id'],
+                                            properties: { value: { type: 'string' } }
+                                        }
+                                    }
+                                },
+                                {
+                                    type: 'object',
+                                    properties: {
+                                        id: { type: 'number', readOnly: true },
+                                        password: { type: 'string', writeOnly: true }
+                                    }
+                                }
+                            ]
+                        });
+                    });
+
+                    it('does not require read only properties from another schema when writing', () => {
+                        const errors = allOfSchema.validate({ name: 'Bob', password: 'secret' }, { readWriteMode: 'write' });
+                        expect(errors).to.be.undefined;
+                    });
+
+                    it('does not require write only properties from another schema when reading', () => {
+                        const errors = allOfSchema.validate({ id: 1, name: 'Bob' }, { readWriteMode: 'read' });
+                        expect(errors).to.be.undefined;
+                    });
+
+                    it('still requires applicable properties', () => {
+                        const errors = allOfSchema.validate({ name: 'Bob' }, { readWriteMode: 'write' });
+                        expect(errors).to.match(/One or more required properties missing: password/);
+                        expect(errors.count).to.equal(1);
+                    });
+
+                    it('does not apply the exclusions to nested objects', () => {
+                        const errors = allOfSchema.validate({ name: 'Bob', password: 'secret', nested: {} }, { readWriteMode: 'write' });
+                        expect(errors).to.match(/at: 0 > nested\s+One or more required properties missing: id/);
+                    });
+
+                });
+
+            });
+
         });
 
         describe('string', () => {
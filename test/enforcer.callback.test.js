@@ -0,0 +1,187 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Enforcer      = require('../');
+const expect        = require('chai').expect;
+
+describe('enforcer/callback', () => {
+    const expression = '{$request.body#/callbackUrl}/events/{$response.body#/id}';
+    let callback;
+    let context;
+
+    before(async () => {
+        const openapi = await Enforcer({
+            openapi: '3.0.0',
+            info: { title: '', version: '' },
+            paths: {
+                '/subscriptions': {
+                    post: {
+                        requestBody: {
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        required: ['callbackUrl'],
+                                        properties: {
+                                            callbackUrl: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        responses: {
+                            201: {
+                                description: '',
+                                content: {
+                                    'application/json': {
+                                        schema: {
+                                            type: 'object',
+                                            properties: {
+                                                id: { type: 'integer' }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        callbacks: {
+                            onEvent: {
+                                [expression]: {
+                                    post: {
+                                        parameters: [
+                                            { name: 'x-event', in: 'header', required: true, schema: { type: 'string' } }
+                                        ],
+                                        requestBody: {
+                                            content: {
+                                                'application/json': {
+                                                    schema: {
+                                                        type: 'object',
+                                                        properties: {
+                                                            at: { type: 'string', format: 'date-time' }
+                                                        }
+                                                    }
+                                                }
+                                            }
+                                        },
+                                        responses: {
+                                            200: {
+                                                description: '',
+                                                content: {
+                                                    'application/json': {
+                                                        schema: {
+                                                            type: 'object',
+                                                            properties: {
+                                                                received: { type: 'string', format: 'date-time' }
+                                                            }
+                                                        }
+                                                    }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        const [ req ] = openapi.request({
+            method: 'POST',
+            path: '/subscriptions',
+            headers: { 'content-type': 'application/json' },
+            body: '{"callbackUrl":"https://client.example.com/hooks"}'
+        });
+        const [ res ] = req.response(201, { id: 7 });
+        callback = req.operation.callbacks.onEvent;
+        context = { request: req, response: res };
+    });
+
+    describe('definition', () => {
+        const pathItem = { post: { responses: { 200: { description: '' } } } };
+
+        it('allows valid runtime expressions in the key', () => {
+            const [ , err ] = Enforcer.v3_0.Callback({
+                'http://notification.example.com?id={$request.body#/id}&email={$request.body#/email}': pathItem
+            });
+            expect(err).to.equal(undefined);
+        });
+
+        it('produces an error for invalid runtime expressions in the key', () => {
+            const [ , err ] = Enforcer.v3_0.Callback({
+                '{$request.body#/callbackUrl}/{$response.query.id}': pathItem
+            });
+            expect(err).to.match(/Invalid runtime expression: \$response\.query\.id/);
+        });
+
+    });
+
+    describe('buildRequest', () => {
+
+        it('evaluates the expression to produce the url', () => {
+            const [ value, error ] = callback.buildRequest(expression, 'post', context, {
+                headers: { 'x-event': 'created' },
+                body: { at: new Date('2000-01-01T00:00:00.000Z') }
+            });
+            expect(error).to.equal(undefined);
+            expect(value.url).to.equal('https://client.example.com/hooks/events/7');
+            expect(value.method).to.equal('POST');
+            expect(value.headers).to.deep.equal({ 'x-event': 'created', 'content-type': 'application/json' });
+            expect(value.body).to.equal('{"at":"2000-01-01T00:00:00.000Z"}');
+        });
+
+        it('validates the callback request', () => {
+            const [ , error ] = callback.buildRequest(expression, 'post', context, { body: { at: 'tomorrow' } });
+            expect(error).to.match(/Missing required parameter: x-event/);
+            expect(error).to.match(/In body/);
+        });
+
+        it('produces an error if the expression cannot be evaluated', () => {
+            const [ , error ] = callback.buildRequest(expression, 'post', { request: context.request }, {
+                headers: { 'x-event': 'created' }
+            });
+            expect(error).to.match(/Unable to evaluate runtime expression: \$response\.body#\/id\s+No value found/);
+        });
+
+        it('requires a defined expression and method', () => {
+            expect(() => callback.buildRequest('{$url}', 'post', context)).to.throw(/Invalid expression/);
+            expect(() => callback.buildRequest(expression, 'get', context)).to.throw(/Invalid method/);
+        });
+
+    });
+
+    describe('parseResponse', () => {
+
+        it('parses the subscriber response', () => {
+            const [ value, error ] = callback.parseResponse(expression, 'post', {
+                statusCode: 200,
+                headers: { 'content-type': 'application/json' },
+                body: '{"received":"2000-01-01T00:00:00.000Z"}'
+            });
+            expect(error).to.equal(undefined);
+            expect(value.body).to.deep.equal({ received: new Date('2000-01-01T00:00:00.000Z') });
+        });
+
+        it('produces an error for a response that is not defined', () => {
+            const [ , error ] = callback.parseResponse(expression, 'post', { statusCode: 500 });
+            expect(error).to.match(/Invalid response code: 500/);
+        });
+
+    });
+
+});
@@ -15,6 +15,7 @@
  *    limitations under the License.
  **/
 'use strict';
+const Enforcer  = require('../');
 const expect    = require('chai').expect;
 const Link      = require('../').v3_0.Link;
 
@@ -125,6 +126,28 @@ describe('enforcer/link', () => {
             expect(err).to.be.undefined;
         });
 
+        it('can use runtime expressions', () => {
+            const [ , err ] = new Link({
+                parameters: {
+                    id: '$response.body#/id',
+                    url: '{$request.header.host}/people'
+                }
+            });
+            expect(err).to.be.undefined;
+        });
+
+        it('must use valid runtime expressions', () => {
+            const [ , err ] = new Link({
+                parameters: {
+                    id: '$response.path.id',
+                    url: '{$request.hdr.host}/people'
+                }
+            });
+            expect(err).to.match(/at: id\s+Invalid runtime expression: \$response\.path\.id/);
+            expect(err).to.match(/at: url\s+Invalid runtime expression: \$request\.hdr\.host/);
+            expect(err.count).to.equal(2);
+        });
+
     });
 
     describe('requestBody', () => {
@@ -150,6 +173,21 @@ describe('enforcer/link', () => {
             expect(err).to.be.undefined;
         });
 
+        it('can be a runtime expression', () => {
+            const [ , err ] = new Link({
+                requestBody: '$request.body#/person'
+            });
+            expect(err).to.be.undefined;
+        });
+
+        it('must be a valid runtime expression', () => {
+            const [ , err ] = new Link({
+                requestBody: '$request.body.person'
+            });
+            expect(err).to.match(/Invalid runtime expression: \$request\.body\.person/);
+            expect(err.count).to.equal(1);
+        });
+
     });
 
     describe('server', () => {
@@ -173,4 +211,155 @@ describe('enforcer/link', () => {
 
     });
 
-});
\ No newline at end of file
+    describe('linked operation', () => {
+
+        it('must have an operation with the operationId', async () => {
+            const [ , err ] = await Enforcer(definition({ a: { operationId: 'getPerson' }, b: { operationId: 'unknown' } }), { fullResult: true });
+            expect(err).to.match(/links > b > operationId\s+No operation exists with the operationId: unknown/);
+            expect(err.count).to.equal(1);
+        });
+
+        it('must have an operation at the operationRef', async () => {
+            const [ , err ] = await Enforcer(definition({
+                a: { operationRef: '#/paths/~1people~1{id}/get' },
+                b: { operationRef: '#/paths/~1people~1{id}/delete' },
+                c: { operationRef: 'https://api.example.com/openapi.json#/paths/~1people/get' }
+            }), { fullResult: true });
+            expect(err).to.match(/links > b > operationRef\s+Unable to resolve the operationRef: #\/paths\/~1people~1{id}\/delete/);
+            expect(err.count).to.equal(1);
+        });
+
+        it('must use parameters that the linked operation defines', async () => {
+            const [ , err ] = await Enforcer(definition({
+                a: {
+                    operationId: 'getPerson',
+                    parameters: { id: 1, 'path.id': 1, 'query.details': true, 'X-Trace': 'a', color: 'red', 'query.id': 1 }
+                }
+            }), { fullResult: true });
+            expect(err).to.match(/at: color\s+The linked operation does not define the parameter: color/);
+            expect(err).to.match(/at: query\.id\s+The linked operation does not define the parameter: query\.id/);
+            expect(err.count).to.equal(2);
+        });
+
+    });
+
+    describe('resolve', () => {
+        let openapi;
+
+        before(async () => {
+            openapi = await Enforcer(definition({
+                byId: {
+                    operationId: 'getPerson',
+                    parameters: {
+                        id: '$response.body#/id',
+                        details: true,
+                        'x-trace': 'trace-{$request.header.x-trace}'
+                    }
+                },
+                byRef: {
+                    operationRef: '#/paths/~1people~1{id}/get',
+                    parameters: { 'path.id': '$request.path.id' }
+                },
+                update: {
+                    operationId: 'updatePerson',
+                    parameters: { id: '$response.body#/id' },
+                    requestBody: '$request.body'
+                }
+            }));
+        });
+
+        it('resolves the operation and parameters for an operationId', () => {
+            const link = openapi.paths['/people'].post.responses[201].links.byId;
+            const [ value, error ] = link.resolve({
+                request: { headers: { 'X-Trace': 'abc' } },
+                response: { body: { id: 12 } }
+            });
+            expect(error).to.equal(undefined);
+            expect(value.operation).to.equal(openapi.paths['/people/{id}'].get);
+            expect(value.request).to.deep.equal({
+                cookie: {},
+                headers: { 'x-trace': 'trace-abc' },
+                path: { id: 12 },
+                query: { details: true }
+            });
+        });
+
+        it('resolves the operation and parameters for an operationRef', () => {
+            const link = openapi.paths['/people'].post.responses[201].links.byRef;
+            const [ value ] = link.resolve({ request: { path: { id: 5 } } });
+            expect(value.operation).to.equal(openapi.paths['/people/{id}'].get);
+            expect(value.request.path).to.deep.equal({ id: 5 });
+        });
+
+        it('resolves the request body', () => {
+            const link = openapi.paths['/people'].post.responses[201].links.update;
+            const [ value ] = link.resolve({ request: { body: { name: 'Bob' } }, response: { body: { id: 12 } } });
+            expect(value.operation).to.equal(openapi.paths['/people/{id}'].put);
+            expect(value.request.body).to.deep.equal({ name: 'Bob' });
+        });
+
+        it('produces a request that the linked operation can build', () => {
+            const link = openapi.paths['/people'].post.responses[201].links.byId;
+            const [ { operation, request } ] = link.resolve({
+                request: { headers: { 'x-trace': 'abc' } },
+                response: { body: { id: 12 } }
+            });
+            const [ built ] = operation.buildRequest(request);
+            expect(built.path).to.equal('/people/12');
+            expect(built.query).to.equal('details=true');
+        });
+
+        it('produces an error for expressions without a value', () => {
+            const link = openapi.paths['/people'].post.responses[201].links.byId;
+            const [ , error ] = link.resolve({ request: { headers: {} }, response: { body: {} } });
+            expect(error).to.match(/at: id[\s\S]+No value found/);
+            expect(error).to.match(/at: x-trace[\s\S]+No value found/);
+        });
+
+    });
+
+});
+
+function definition (links) {
+    return {
+        openapi: '3.0.0',
+        info: { title: '', version: '' },
+        paths: {
+            '/people': {
+                post: {
+                    operationId: 'addPerson',
+                    requestBody: {
+                        content: {
+                            'application/json': { schema: { type: 'object' } }
+                        }
+                    },
+                    responses: {
+                        201: { description: '', links }
+                    }
+                }
+            },
+            '/people/{id}': {
+                parameters: [
+                    { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+                ],
+                get: {
+                    operationId: 'getPerson',
+                    parameters: [
+                        { name: 'details', in: 'query', schema: { type: 'boolean' } },
+                        { name: 'x-trace', in: 'header', schema: { type: 'string' } }
+                    ],
+                    responses: { 200: { description: '' } }
+                },
+                put: {
+                    operationId: 'updatePerson',
+                    requestBody: {
+                        content: {
+                            'application/json': { schema: { type: 'object' } }
+                        }
+                    },
+                    responses: { 200: { description: '' } }
+                }
+            }
+        }
+    };
+}
@@ -64,6 +64,442 @@ describe('enforcer/operation', () => {
 
     });
 
+    describe('buildPath', () => {
+        let openapi;
+
+        before(async () => {
+            openapi = await Enforcer({
+                openapi: '3.0.0',
+                info: { title: '', version: '' },
+                paths: {
+                    '/pets/{id}': {
+                        get: {
+                            operationId: 'getPet',
+                            parameters: [
+                                { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+                            ],
+                            responses: { 200: { description: '' } }
+                        }
+                    },
+                    '/pets/{id}/photos{tags}{point}': {
+                        get: {
+                            parameters: [
+                                { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+                                { name: 'tags', in: 'path', required: true, style: 'label', schema: { type: 'array', items: { type: 'string' } } },
+                                { name: 'point', in: 'path', required: true, style: 'matrix', explode: true, schema: { type: 'object', properties: { x: { type: 'integer' }, y: { type: 'integer' } } } }
+                            ],
+                            responses: { 200: { description: '' } }
+                        }
+                    }
+                }
+            });
+        });
+
+        it('percent encodes simple values', () => {
+            const [ path ] = openapi.paths['/pets/{id}'].get.buildPath({ id: 'a b/c' });
+            expect(path).to.equal('/pets/a%20b%2Fc');
+        });
+
+        it('uses the label and matrix styles', () => {
+            const [ path ] = openapi.paths['/pets/{id}/photos{tags}{point}'].get.buildPath({ id: 5, tags: ['a', 'b'], point: { x: 1, y: 2 } });
+            expect(path).to.equal('/pets/5/photos.a,b;x=1;y=2');
+        });
+
+        it('produces an error for missing parameters', () => {
+            const [ , err ] = openapi.paths['/pets/{id}/photos{tags}{point}'].get.buildPath({ id: 5 });
+            expect(err).to.match(/Missing required parameters: tags, point/);
+        });
+
+        it('produces an error for invalid parameters', () => {
+            const [ , err ] = openapi.paths['/pets/{id}/photos{tags}{point}'].get.buildPath({ id: 'abc', tags: [], point: {} });
+            expect(err).to.match(/at: id[\s\S]+Expected an integer/);
+        });
+
+        it('produces an error for unexpected parameters', () => {
+            const [ , err ] = openapi.paths['/pets/{id}'].get.buildPath({ id: 'a', color: 'red' });
+            expect(err).to.match(/Received unexpected parameter: color/);
+        });
+
+        it('can be built from the operationId', () => {
+            const [ path ] = openapi.buildPath('getPet', { id: 'abc' });
+            expect(path).to.equal('/pets/abc');
+        });
+
+        it('produces an error for an unknown operationId', () => {
+            const [ , err ] = openapi.buildPath('unknown', {});
+            expect(err).to.match(/No operation exists with the operationId: unknown/);
+        });
+
+    });
+
+    describe('buildRequest', () => {
+        let openapi;
+
+        before(async () => {
+            openapi = await Enforcer({
+                openapi: '3.0.0',
+                info: { title: '', version: '' },
+                paths: {
+                    '/people/{id}': {
+                        parameters: [
+                            { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+                        ],
+                        put: {
+                            parameters: [
+                                { name: 'tags', in: 'query', schema: { type: 'array', items: { type: 'string' } } },
+                                { name: 'since', in: 'query', schema: { type: 'string', format: 'date' } },
+                                { name: 'filter', in: 'query', style: 'deepObject', schema: { type: 'object', properties: { age: { type: 'integer' } } } },
+                                { name: 'x-trace', in: 'header', schema: { type: 'array', items: { type: 'integer' } } },
+                                { name: 'session', in: 'cookie', required: true, schema: { type: 'string' } }
+                            ],
+                            requestBody: {
+                                content: {
+                                    'application/json': {
+                                        schema: {
+                                            type: 'object',
+                                            properties: {
+                                                birthday: { type: 'string', format: 'date' },
+                                                id: { type: 'integer', readOnly: true }
+                                            }
+                                        }
+                                    },
+                                    'application/x-www-form-urlencoded': {
+                                        schema: {
+                                            type: 'object',
+                                            properties: {
+                                                colors: { type: 'array', items: { type: 'string' } },
+                                                point: { type: 'object', properties: { x: { type: 'integer' }, y: { type: 'integer' } } }
+                                            }
+                                        },
+                                        encoding: {
+                                            colors: { style: 'pipeDelimited', explode: false }
+                                        }
+                                    }
+                                }
+                            },
+                            responses: { 200: { description: '' } }
+                        }
+                    },
+                    '/colors/{color}': {
+                        get: {
+                            parameters: [
+                                { name: 'color', in: 'path', required: true, style: 'matrix', explode: true, schema: { type: 'array', items: { type: 'string' } } }
+                            ],
+                            responses: { 200: { description: '' } }
+                        }
+                    }
+                }
+            });
+        });
+
+        it('serializes parameters and the body', () => {
+            const [ req, err ] = openapi.paths['/people/{id}'].put.buildRequest({
+                body: { birthday: new Date('2000-01-01T00:00:00.000Z') },
+                cookie: { session: 'abc' },
+                headers: { accept: 'application/json', 'x-trace': [1, 2] },
+                path: { id: 5 },
+                query: { tags: ['a b', 'c'], since: new Date('2000-01-01T00:00:00.000Z'), filter: { age: 30 } }
+            });
+            expect(err).to.equal(undefined);
+            expect(req).to.deep.equal({
+                body: '{"birthday":"2000-01-01"}',
+                headers: {
+                    accept: 'application/json',
+                    'content-type': 'application/json',
+                    cookie: 'session=abc',
+                    'x-trace': '1,2'
+                },
+                method: 'PUT',
+                path: '/people/5',
+                query: 'tags=a%20b&tags=c&since=2000-01-01&filter[age]=30'
+            });
+        });
+
+        it('produces a request that the operation accepts', () => {
+            const [ built ] = openapi.paths['/people/{id}'].put.buildRequest({
+                body: { birthday: new Date('2000-01-01T00:00:00.000Z') },
+                cookie: { session: 'abc' },
+                path: { id: 5 },
+                query: { tags: ['a', 'b'] }
+            });
+            const [ req, err ] = openapi.request({
+                body: built.body,
+                headers: built.headers,
+                method: built.method,
+                path: built.path + '?' + built.query
+            });
+            expect(err).to.equal(undefined);
+            expect(req.path).to.deep.equal({ id: 5 });
+            expect(req.query).to.deep.equal({ tags: ['a', 'b'] });
+            expect(req.cookie).to.deep.equal({ session: 'abc' });
+            expect(req.body).to.deep.equal({ birthday: new Date('2000-01-01T00:00:00.000Z') });
+        });
+
+        it('encodes cookie values so that they cannot add cookies', () => {
+            const [ built, err ] = openapi.paths['/people/{id}'].put.buildRequest({
+                cookie: { session: 'abc; admin=true' },
+                path: { id: 5 }
+            });
+            expect(err).to.equal(undefined);
+            expect(built.headers.cookie).to.equal('session=abc%3B%20admin%3Dtrue');
+
+            const [ req ] = openapi.request({ headers: built.headers, method: built.method, path: built.path });
+            expect(req.cookie).to.deep.equal({ session: 'abc; admin=true' });
+        });
+
+        it('does not allow line breaks in headers that are passed through', () => {
+            const [ , err ] = openapi.paths['/people/{id}'].put.buildRequest({
+                cookie: { session: 'abc' },
+                headers: { 'x-other': 'abc\r\nx-admin: true' },
+                path: { id: 5 }
+            });
+            expect(err).to.match(/at: x-other\s+Header values cannot contain carriage returns or line feeds/);
+        });
+
+        it('uses the path parameter style', () => {
+            const [ req ] = openapi.paths['/colors/{color}'].get.buildRequest({ path: { color: ['red', 'blue'] } });
+            expect(req.path).to.equal('/colors/;color=red;color=blue');
+        });
+
+        it('serializes a form body using the media type encoding', () => {
+            const [ req, err ] = openapi.paths['/people/{id}'].put.buildRequest({
+                body: { colors: ['red', 'blue'], point: { x: 1, y: 2 } },
+                cookie: { session: 'abc' },
+                headers: { 'content-type': 'application/x-www-form-urlencoded' },
+                path: { id: 5 }
+            });
+            expect(err).to.equal(undefined);
+            expect(req.body).to.equal('colors=red|blue&x=1&y=2');
+        });
+
+        it('produces errors for invalid, missing, and unexpected parameters', () => {
+            const [ , err ] = openapi.paths['/people/{id}'].put.buildRequest({
+                path: { id: 'abc' },
+                query: { color: 'red' }
+            });
+            expect(err).to.match(/In path parameters\s+at: id[\s\S]+Expected an integer/);
+            expect(err).to.match(/In query parameters\s+Received unexpected parameter: color/);
+            expect(err).to.match(/In cookie parameters\s+Missing required parameter: session/);
+        });
+
+        it('does not allow read only properties in the body', () => {
+            const [ , err ] = openapi.paths['/people/{id}'].put.buildRequest({
+                body: { id: 1 },
+                cookie: { session: 'abc' },
+                path: { id: 5 }
+            });
+            expect(err).to.match(/In body[\s\S]+id/);
+        });
+
+        it('serializes v2 parameters using the collection format', async () => {
+            const openapi = await Enforcer({
+                swagger: '2.0',
+                info: { title: '', version: '' },
+                paths: {
+                    '/people': {
+                        post: {
+                            consumes: ['application/x-www-form-urlencoded'],
+                            parameters: [
+                                { name: 'ids', in: 'query', type: 'array', collectionFormat: 'pipes', items: { type: 'integer' } },
+                                { name: 'names', in: 'query', type: 'array', collectionFormat: 'multi', items: { type: 'string' } },
+                                { name: 'name', in: 'formData', type: 'string', required: true }
+                            ],
+                            responses: { 200: { description: '' } }
+                        }
+                    }
+                }
+            });
+            const [ req, err ] = openapi.paths['/people'].post.buildRequest({
+                body: { name: 'Bob Smith' },
+                query: { ids: [1, 2], names: ['a', 'b'] }
+            });
+            expect(err).to.equal(undefined);
+            expect(req.query).to.equal('ids=1|2&names=a&names=b');
+            expect(req.body).to.equal('name=Bob%20Smith');
+            expect(req.headers['content-type']).to.equal('application/x-www-form-urlencoded');
+        });
+
+    });
+
+    describe('parseResponse', () => {
+        let operation;
+
+        before(async () => {
+            const openapi = await Enforcer({
+                openapi: '3.0.0',
+                info: { title: '', version: '' },
+                paths: {
+                    '/people/{id}': {
+                        get: {
+                            parameters: [
+                                { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+                            ],
+                            responses: {
+                                200: {
+                                    description: '',
+                                    headers: {
+                                        'x-ids': { required: true, schema: { type: 'array', items: { type: 'integer' } } },
+                                        'x-expires': { schema: { type: 'string', format: 'date-time' } }
+                                    },
+                                    content: {
+                                        'application/json': {
+                                            schema: {
+                                                type: 'object',
+                                                properties: {
+                                                    birthday: { type: 'string', format: 'date' },
+                                                    avatar: { type: 'string', format: 'byte' },
+                                                    password: { type: 'string', writeOnly: true }
+                                                }
+                                            }
+                                        },
+                                        'application/xml': {
+                                            schema: {
+                                                type: 'object',
+                                                properties: {
+                                                    age: { type: 'integer' }
+                                                }
+                                            }
+                                        }
+                                    }
+                                },
+                                default: {
+                                    description: '',
+                                    content: {
+                                        'text/plain': {
+                                            schema: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+            operation = openapi.paths['/people/{id}'].get;
+        });
+
+        it('parses, deserializes, and validates the headers and body', () => {
+            const [ res, err ] = operation.parseResponse({
+                statusCode: 200,
+                headers: { 'Content-Type': 'application/json; charset=utf-8', 'X-Ids': '1,2', 'x-expires': '2000-01-01T00:00:00.000Z' },
+                body: '{"birthday":"2000-01-01","avatar":"aGk="}'
+            });
+            expect(err).to.equal(undefined);
+            expect(res.statusCode).to.equal(200);
+            expect(res.response).to.equal(operation.responses[200]);
+            expect(res.headers).to.deep.equal({
+                'content-type': 'application/json; charset=utf-8',
+                'x-ids': [1, 2],
+                'x-expires': new Date('2000-01-01T00:00:00.000Z')
+            });
+            expect(res.body).to.deep.equal({ birthday: new Date('2000-01-01T00:00:00.000Z'), avatar: Buffer.from('hi') });
+        });
+
+        it('deserializes a body that has already been parsed', () => {
+            const [ res ] = operation.parseResponse({
+                statusCode: 200,
+                headers: { 'content-type': 'application/json', 'x-ids': '1' },
+                body: { birthday: '2000-01-01' }
+            });
+            expect(res.body).to.deep.equal({ birthday: new Date('2000-01-01T00:00:00.000Z') });
+        });
+
+        it('uses the content type to parse the body', () => {
+            const [ res ] = operation.parseResponse({
+                statusCode: '200',
+                headers: { 'content-type': 'application/xml', 'x-ids': '1' },
+                body: '<root><age>30</age></root>'
+            });
+            expect(res.body).to.deep.equal({ age: 30 });
+        });
+
+        it('uses the default response', () => {
+            const [ res, err ] = operation.parseResponse({
+                statusCode: 500,
+                headers: { 'content-type': 'text/plain' },
+                body: 'Oops'
+            });
+            expect(err).to.equal(undefined);
+            expect(res.response).to.equal(operation.responses.default);
+            expect(res.body).to.equal('Oops');
+        });
+
+        it('produces errors for invalid headers and bodies', () => {
+            const [ , err ] = operation.parseResponse({
+                statusCode: 200,
+                headers: { 'content-type': 'application/json', 'x-expires': 'tomorrow' },
+                body: '{"birthday":"2000-01-01","password":"secret"}'
+            });
+            expect(err).to.match(/In headers\s+at: x-expires[\s\S]+Missing required header: x-ids/);
+            expect(err).to.match(/In body[\s\S]+password/);
+        });
+
+        it('produces an error for a content type that is not defined', () => {
+            const [ , err ] = operation.parseResponse({
+                statusCode: 200,
+                headers: { 'content-type': 'text/html', 'x-ids': '1' },
+                body: '<p></p>'
+            });
+            expect(err).to.match(/Content-Type not defined for the response: text\/html/);
+        });
+
+        it('produces an error for an undefined status code', () => {
+            const [ operation ] = Enforcer.v3_0.Operation({
+                responses: { 200: { description: '' } }
+            });
+            const [ , err ] = operation.parseResponse({ statusCode: 404 });
+            expect(err).to.match(/Invalid response code: 404/);
+        });
+
+        it('matches headers that are defined with mixed case names', () => {
+            const [ operation ] = Enforcer.v3_0.Operation({
+                responses: {
+                    200: {
+                        description: '',
+                        headers: {
+                            'X-Rate-Limit': { required: true, schema: { type: 'integer' } }
+                        }
+                    }
+                }
+            });
+
+            const [ res, err ] = operation.parseResponse({ statusCode: 200, headers: { 'X-Rate-Limit': '10' } });
+            expect(err).to.equal(undefined);
+            expect(res.headers).to.deep.equal({ 'x-rate-limit': 10 });
+
+            const [ , err2 ] = operation.parseResponse({ statusCode: 200, headers: { 'x-rate-limit': 'x' } });
+            expect(err2).to.match(/at: x-rate-limit[\s\S]+Expected an integer/);
+            expect(err2).not.to.match(/Missing required header/);
+
+            const [ , err3 ] = operation.parseResponse({ statusCode: 200, headers: {} });
+            expect(err3).to.match(/Missing required header: x-rate-limit/);
+        });
+
+        it('parses a v2 body using produces', () => {
+            const [ operation ] = Enforcer.v2_0.Operation({
+                produces: ['application/json'],
+                responses: {
+                    200: {
+                        description: '',
+                        schema: { type: 'array', items: { type: 'string', format: 'date' } },
+                        headers: {
+                            'x-count': { type: 'integer' }
+                        }
+                    }
+                }
+            });
+            const [ res, err ] = operation.parseResponse({
+                statusCode: 200,
+                headers: { 'x-count': '1' },
+                body: '["2000-01-01"]'
+            });
+            expect(err).to.equal(undefined);
+            expect(res.headers).to.deep.equal({ 'x-count': 1 });
+            expect(res.body).to.deep.equal([new Date('2000-01-01T00:00:00.000Z')]);
+        });
+
+    });
+
     describe('get response content type matches', () => {
 
         describe('v2', () => {
@@ -910,6 +1346,524 @@ describe('enforcer/operation', () => {
                 expect(err).to.match(/For Content-Type \*\/\*/);
             });
 
+            describe('read only properties', () => {
+
+                beforeEach(() => {
+                    appJson.schema = {
+                        type: 'object',
+                        required: ['id', 'name'],
+                        properties: {
+                            id: { type: 'number', readOnly: true },
+                            name: { type: 'string' }
+                        }
+                    };
+                });
+
+                it('does not allow read only properties', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ , err ] = operation.request({ body: { id: 1, name: 'Bob' }, headers: { 'content-type': 'application/json' } });
+                    expect(err).to.match(/at: id\s+Cannot write to read only property/);
+                });
+
+                it('does not require read only properties', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: { name: 'Bob' }, headers: { 'content-type': 'application/json' } });
+                    expect(req.body).to.deep.equal({ name: 'Bob' });
+                });
+
+                it('can strip read only properties', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: { id: 1, name: 'Bob' }, headers: { 'content-type': 'application/json' } }, { stripReadOnly: true });
+                    expect(req.body).to.deep.equal({ name: 'Bob' });
+                });
+
+                it('can strip read only properties defined in allOf schemas', () => {
+                    appJson.schema = {
+                        allOf: [
+                            { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+                            { type: 'object', properties: { id: { type: 'number', readOnly: true } } }
+                        ]
+                    };
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req, err ] = operation.request({ body: { id: 1, name: 'Bob' }, headers: { 'content-type': 'application/json' } }, { stripReadOnly: true });
+                    expect(err).to.equal(undefined);
+                    expect(req.body).to.deep.equal({ name: 'Bob' });
+                });
+
+            });
+
+            describe('raw bodies', () => {
+                let def;
+
+                beforeEach(() => {
+                    def = {
+                        requestBody: {
+                            content: {
+                                'application/json': { schema: objSchema },
+                                'application/octet-stream': { schema: { type: 'string', format: 'binary' } },
+                                'text/plain': { schema: { type: 'integer' } },
+                                'text/csv': { schema: { type: 'string' } }
+                            }
+                        },
+                        responses: { 200: { description: '' } }
+                    };
+                });
+
+                it('parses a JSON string', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: '{"R":50,"G":100,"B":150}', headers: { 'content-type': 'application/json' } });
+                    expect(req.body).to.deep.equal({ R: 50, G: 100, B: 150 });
+                });
+
+                it('parses a JSON buffer', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: Buffer.from('{"R":50}'), headers: { 'content-type': 'application/json; charset=utf-8' } });
+                    expect(req.body).to.deep.equal({ R: 50 });
+                });
+
+                it('parses a JSON string for a +json media type', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation({
+                        requestBody: {
+                            content: {
+                                'application/merge-patch+json': { schema: objSchema }
+                            }
+                        },
+                        responses: { 200: { description: '' } }
+                    });
+                    const [ req ] = operation.request({ body: '{"R":50}', headers: { 'content-type': 'application/merge-patch+json' } });
+                    expect(req.body).to.deep.equal({ R: 50 });
+                });
+
+                it('produces an error for invalid JSON', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ , err ] = operation.request({ body: '{', headers: { 'content-type': 'application/json' } });
+                    expect(err).to.match(/Unable to parse body\s+Unable to parse JSON/);
+                });
+
+                it('keeps an octet stream as a buffer', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const body = Buffer.from([1, 2, 3]);
+                    const [ req ] = operation.request({ body, headers: { 'content-type': 'application/octet-stream' } });
+                    expect(req.body).to.deep.equal(body);
+                });
+
+                it('parses plain text primitives', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: '12', headers: { 'content-type': 'text/plain' } });
+                    expect(req.body).to.equal(12);
+                });
+
+                it('leaves media types without a parser as is', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: 'a,b', headers: { 'content-type': 'text/csv' } });
+                    expect(req.body).to.equal('a,b');
+                });
+
+            });
+
+            describe('application/x-www-form-urlencoded', () => {
+                const headers = { 'content-type': 'application/x-www-form-urlencoded' };
+                let def;
+                let media;
+
+                beforeEach(() => {
+                    media = {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'string' },
+                                age: { type: 'integer' },
+                                married: { type: 'boolean' },
+                                birthday: { type: 'string', format: 'date' },
+                                tags: { type: 'array', items: { type: 'integer' } },
+                                color: {
+                                    type: 'object',
+                                    properties: {
+                                        R: { type: 'integer' },
+                                        G: { type: 'integer' },
+                                        B: { type: 'integer' }
+                                    }
+                                }
+                            }
+                        }
+                    };
+                    def = {
+                        requestBody: {
+                            content: {
+                                'application/x-www-form-urlencoded': media
+                            }
+                        },
+                        responses: { 200: { description: '' } }
+                    };
+                });
+
+                it('decodes primitive values', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: 'name=Bob%20Smith&age=30&married=true&birthday=2000-01-01', headers });
+                    expect(req.body).to.deep.equal({ name: 'Bob Smith', age: 30, married: true, birthday: new Date('2000-01-01') });
+                });
+
+                it('allows empty string values', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: 'name=', headers });
+                    expect(req.body).to.deep.equal({ name: '' });
+                });
+
+                it('decodes exploded form arrays by default', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: 'tags=1&tags=2', headers });
+                    expect(req.body).to.deep.equal({ tags: [1, 2] });
+                });
+
+                it('decodes exploded form objects by default', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: 'R=100&G=200&B=150', headers });
+                    expect(req.body).to.deep.equal({ color: { R: 100, G: 200, B: 150 } });
+                });
+
+                it('decodes non-exploded form values', () => {
+                    media.encoding = {
+                        color: { style: 'form', explode: false },
+                        tags: { style: 'form', explode: false }
+                    };
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: 'tags=1,2&color=R,100,G,200,B,150', headers });
+                    expect(req.body).to.deep.equal({ tags: [1, 2], color: { R: 100, G: 200, B: 150 } });
+                });
+
+                it('decodes space delimited values', () => {
+                    media.encoding = { tags: { style: 'spaceDelimited', explode: false } };
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: 'tags=1%202', headers });
+                    expect(req.body).to.deep.equal({ tags: [1, 2] });
+                });
+
+                it('decodes pipe delimited values', () => {
+                    media.encoding = { tags: { style: 'pipeDelimited', explode: false } };
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: 'tags=1|2', headers });
+                    expect(req.body).to.deep.equal({ tags: [1, 2] });
+                });
+
+                it('decodes deep object values', () => {
+                    media.encoding = { color: { style: 'deepObject', explode: true } };
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: 'color[R]=100&color[G]=200', headers });
+                    expect(req.body).to.deep.equal({ color: { R: 100, G: 200 } });
+                });
+
+                it('decodes deep object values with encoded brackets', () => {
+                    media.encoding = { color: { style: 'deepObject', explode: true } };
+                    media.schema.additionalProperties = false;
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req, err ] = operation.request({ body: 'color%5BR%5D=100&color[G]=200', headers });
+                    expect(err).to.equal(undefined);
+                    expect(req.body).to.deep.equal({ color: { R: 100, G: 200 } });
+                });
+
+                it('produces errors for values that cannot be decoded', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ , err ] = operation.request({ body: 'age=abc', headers });
+                    expect(err).to.match(/at: age\s+Unable to parse value\s+Expected an integer/);
+                });
+
+                it('validates unknown properties against the schema', () => {
+                    media.schema.additionalProperties = false;
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ , err ] = operation.request({ body: 'name=Bob&nickname=Bobby', headers });
+                    expect(err).to.match(/at: nickname\s+Property not allowed/);
+                });
+
+            });
+
+            describe('multipart/form-data', () => {
+                const contentType = 'multipart/form-data; boundary=XyZ';
+                let def;
+
+                beforeEach(() => {
+                    def = {
+                        requestBody: {
+                            content: {
+                                'multipart/form-data': {
+                                    schema: {
+                                        type: 'object',
+                                        required: ['name'],
+                                        properties: {
+                                            name: { type: 'string' },
+                                            age: { type: 'integer' },
+                                            birthday: { type: 'string', format: 'date' },
+                                            address: {
+                                                type: 'object',
+                                                properties: { city: { type: 'string' } }
+                                            },
+                                            tags: { type: 'array', items: { type: 'string' } },
+                                            photo: { type: 'string', format: 'binary' }
+                                        }
+                                    },
+                                    encoding: {
+                                        photo: {
+                                            contentType: 'image/png, image/jpeg',
+                                            headers: {
+                                                'x-rate-limit': { required: true, schema: { type: 'integer' } }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        responses: { 200: { description: '' } }
+                    };
+                });
+
+                it('parses text parts', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const body = multipartBody('XyZ', [
+                        { name: 'name', body: 'Bob' },
+                        { name: 'age', body: '30' },
+                        { name: 'birthday', body: '2000-01-01' }
+                    ]);
+                    const [ req ] = operation.request({ body, headers: { 'content-type': contentType } });
+                    expect(req.body).to.deep.equal({ name: 'Bob', age: 30, birthday: new Date('2000-01-01') });
+                });
+
+                it('parses JSON parts', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const body = multipartBody('XyZ', [
+                        { name: 'name', body: 'Bob' },
+                        { name: 'address', headers: { 'Content-Type': 'application/json' }, body: '{"city":"Provo"}' }
+                    ]);
+                    const [ req ] = operation.request({ body, headers: { 'content-type': contentType } });
+                    expect(req.body.address).to.deep.equal({ city: 'Provo' });
+                });
+
+                it('collects repeated parts into arrays', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const body = multipartBody('XyZ', [
+                        { name: 'name', body: 'Bob' },
+                        { name: 'tags', body: 'a' },
+                        { name: 'tags', body: 'b' }
+                    ]);
+                    const [ req ] = operation.request({ body, headers: { 'content-type': contentType } });
+                    expect(req.body.tags).to.deep.equal(['a', 'b']);
+                });
+
+                it('keeps binary parts as buffers', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const photo = Buffer.from([0, 1, 2, 255]);
+                    const body = multipartBody('XyZ', [
+                        { name: 'name', body: 'Bob' },
+                        { name: 'photo', filename: 'me.png', headers: { 'Content-Type': 'image/png', 'X-Rate-Limit': '5' }, body: photo }
+                    ]);
+                    const [ req ] = operation.request({ body, headers: { 'content-type': contentType } });
+                    expect(req.body.photo).to.deep.equal(photo);
+                });
+
+                it('validates the part content type', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const body = multipartBody('XyZ', [
+                        { name: 'name', body: 'Bob' },
+                        { name: 'photo', headers: { 'Content-Type': 'image/gif', 'X-Rate-Limit': '5' }, body: 'GIF' }
+                    ]);
+                    const [ , err ] = operation.request({ body, headers: { 'content-type': contentType } });
+                    expect(err).to.match(/at: photo\s+Content-Type not accepted: image\/gif/);
+                });
+
+                it('validates the part headers', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const body = multipartBody('XyZ', [
+                        { name: 'name', body: 'Bob' },
+                        { name: 'photo', headers: { 'Content-Type': 'image/png', 'X-Rate-Limit': 'abc' }, body: 'PNG' }
+                    ]);
+                    const [ , err ] = operation.request({ body, headers: { 'content-type': contentType } });
+                    expect(err).to.match(/x-rate-limit\s+Unable to parse value\s+Expected an integer. Received: abc/);
+                });
+
+                it('requires required part headers', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const body = multipartBody('XyZ', [
+                        { name: 'name', body: 'Bob' },
+                        { name: 'photo', headers: { 'Content-Type': 'image/png' }, body: 'PNG' }
+                    ]);
+                    const [ , err ] = operation.request({ body, headers: { 'content-type': contentType } });
+                    expect(err).to.match(/Missing required header: x-rate-limit/);
+                });
+
+                it('validates the assembled object against the schema', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const body = multipartBody('XyZ', [{ name: 'age', body: '30' }]);
+                    const [ , err ] = operation.request({ body, headers: { 'content-type': contentType } });
+                    expect(err).to.match(/required properties missing: name/);
+                });
+
+                it('requires a boundary', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const body = multipartBody('XyZ', [{ name: 'name', body: 'Bob' }]);
+                    const [ , err ] = operation.request({ body, headers: { 'content-type': 'multipart/form-data' } });
+                    expect(err).to.match(/Missing boundary in Content-Type header/);
+                });
+
+                it('produces an error for a malformed body', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ , err ] = operation.request({ body: '--XyZ\r\nContent-Disposition: form-data; name="name"\r\n\r\nBob', headers: { 'content-type': contentType } });
+                    expect(err).to.match(/Missing closing multipart boundary/);
+                });
+
+                it('accepts a pre-parsed object body', () => {
+                    const [ operation ] = Enforcer.v3_0.Operation(def);
+                    const [ req ] = operation.request({ body: { name: 'Bob' }, headers: { 'content-type': contentType } });
+                    expect(req.body).to.deep.equal({ name: 'Bob' });
+                });
+
+            });
+
+        });
+
+        describe('security', () => {
+            let def;
+
+            function getOperation(definition) {
+                const [ openapi, err ] = Enforcer.v3_0.OpenApi(definition);
+                if (err) throw Error(err);
+                return openapi.paths['/'].get;
+            }
+
+            beforeEach(() => {
+                def = {
+                    openapi: '3.0.0',
+                    info: { title: '', version: '' },
+                    paths: {
+                        '/': {
+                            get: {
+                                responses: { 200: { description: '' } }
+                            }
+                        }
+                    },
+                    components: {
+                        securitySchemes: {
+                            basicAuth: { type: 'http', scheme: 'basic' },
+                            bearerAuth: { type: 'http', scheme: 'bearer' },
+                            cookieKey: { type: 'apiKey', in: 'cookie', name: 'key' },
+                            headerKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                            queryKey: { type: 'apiKey', in: 'query', name: 'api_key' }
+                        }
+                    },
+                    security: [
+                        { headerKey: [] },
+                        { basicAuth: [] }
+                    ]
+                };
+            });
+
+            it('does not evaluate security by default', () => {
+                const operation = getOperation(def);
+                const [ req, err ] = operation.request({});
+                expect(err).to.equal(undefined);
+                expect(req.security).to.equal(undefined);
+            });
+
+            it('fails with 401 when no requirement is satisfied', () => {
+                const operation = getOperation(def);
+                const [ , err ] = operation.request({}, { validateSecurity: true });
+                expect(err).to.match(/Request does not satisfy any security requirement/);
+                expect(err.statusCode).to.equal(401);
+                expect(err.headers).to.deep.equal({ 'WWW-Authenticate': 'Basic' });
+            });
+
+            it('does not replace the exception header with response headers', () => {
+                const operation = getOperation(def);
+                const [ , err ] = operation.request({}, { validateSecurity: true });
+                expect(String(err)).to.match(/^Request has one or more errors\n/);
+            });
+
+            it('can use root security requirements', () => {
+                const operation = getOperation(def);
+                const [ req ] = operation.request({ headers: { 'x-api-key': 'abc' } }, { validateSecurity: true });
+                expect(req.security.credentials).to.deep.equal({ headerKey: 'abc' });
+                expect(req.security.requirement).to.equal(operation.enforcerData.root.result.security[0]);
+            });
+
+            it('uses operation security requirements over root security requirements', () => {
+                def.paths['/'].get.security = [{ bearerAuth: [] }];
+                const operation = getOperation(def);
+                const [ , err ] = operation.request({ headers: { 'x-api-key': 'abc' } }, { validateSecurity: true });
+                expect(err.statusCode).to.equal(401);
+                const [ req ] = operation.request({ headers: { authorization: 'Bearer token' } }, { validateSecurity: true });
+                expect(req.security.credentials).to.deep.equal({ bearerAuth: 'token' });
+            });
+
+            it('can have operation without security', () => {
+                def.paths['/'].get.security = [];
+                const operation = getOperation(def);
+                const [ req, err ] = operation.request({}, { validateSecurity: true });
+                expect(err).to.equal(undefined);
+                expect(req.security).to.equal(undefined);
+            });
+
+            it('can have optional security', () => {
+                def.security.push({});
+                const operation = getOperation(def);
+                const [ req ] = operation.request({}, { validateSecurity: true });
+                expect(req.security.credentials).to.deep.equal({});
+            });
+
+            it('extracts http basic credentials', () => {
+                const operation = getOperation(def);
+                const authorization = 'Basic ' + Buffer.from('bob:pass:word').toString('base64');
+                const [ req ] = operation.request({ headers: { authorization } }, { validateSecurity: true });
+                expect(req.security.credentials).to.deep.equal({ basicAuth: { username: 'bob', password: 'pass:word' } });
+            });
+
+            it('extracts api key from cookie', () => {
+                def.security = [{ cookieKey: [] }];
+                const operation = getOperation(def);
+                const [ req ] = operation.request({ headers: { cookie: 'key=abc' } }, { validateSecurity: true });
+                expect(req.security.credentials).to.deep.equal({ cookieKey: 'abc' });
+            });
+
+            it('extracts api key from query without treating it as an unknown parameter', () => {
+                def.security = [{ queryKey: [] }];
+                const operation = getOperation(def);
+                const [ req, err ] = operation.request({ query: 'api_key=abc' }, { validateSecurity: true });
+                expect(err).to.equal(undefined);
+                expect(req.security.credentials).to.deep.equal({ queryKey: 'abc' });
+            });
+
+            it('requires all schemes within a requirement', () => {
+                def.security = [{ headerKey: [], bearerAuth: [] }];
+                const operation = getOperation(def);
+                const [ , err ] = operation.request({ headers: { 'x-api-key': 'abc' } }, { validateSecurity: true });
+                expect(err.statusCode).to.equal(401);
+                const [ req ] = operation.request({ headers: { 'x-api-key': 'abc', authorization: 'Bearer token' } }, { validateSecurity: true });
+                expect(req.security.credentials).to.deep.equal({ headerKey: 'abc', bearerAuth: 'token' });
+            });
+
+            it('can verify credentials synchronously', () => {
+                const operation = getOperation(def);
+                const authorization = 'Basic ' + Buffer.from('bob:secret').toString('base64');
+                const headers = { 'x-api-key': 'bad', authorization };
+                const verifySecurity = ({ credentials }) => credentials.headerKey === 'good' || (credentials.basicAuth && credentials.basicAuth.password === 'secret');
+                const [ req ] = operation.request({ headers }, { verifySecurity });
+                expect(req.security.credentials).to.deep.equal({ basicAuth: { username: 'bob', password: 'secret' } });
+            });
+
+            it('can fail verification synchronously', () => {
+                const operation = getOperation(def);
+                const [ , err ] = operation.request({ headers: { 'x-api-key': 'bad' } }, { verifySecurity: () => false });
+                expect(err.statusCode).to.equal(401);
+            });
+
+            it('can verify credentials asynchronously', async () => {
+                const operation = getOperation(def);
+                const verifySecurity = ({ credentials }) => Promise.resolve(credentials.headerKey === 'good');
+                const promise = operation.request({ headers: { 'x-api-key': 'good' } }, { verifySecurity });
+                expect(promise).to.be.an.instanceof(Promise);
+                const [ req ] = await promise;
+                expect(req.security.credentials).to.deep.equal({ headerKey: 'good' });
+
+                const [ , err ] = await operation.request({ headers: { 'x-api-key': 'bad' } }, { verifySecurity });
+                expect(err.statusCode).to.equal(401);
+            });
+
         });
 
     });
@@ -1697,6 +2651,71 @@ describe('enforcer/operation', () => {
                     });
                 });
 
+                describe('write only properties', () => {
+                    let operation;
+
+                    before(() => {
+                        [ operation ] = Enforcer.v3_0.Operation({
+                            responses: {
+                                200: {
+                                    description: 'success',
+                                    content: {
+                                        'application/json': {
+                                            schema: {
+                                                type: 'object',
+                                                required: ['name', 'password'],
+                                                properties: {
+                                                    name: { type: 'string' },
+                                                    password: { type: 'string', writeOnly: true }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        });
+                    });
+
+                    it('does not allow write only properties', () => {
+                        const [ , err ] = operation.response(200, { name: 'Bob', password: 'secret' });
+                        expect(err).to.match(/password\s+Cannot read from write only property/);
+                    });
+
+                    it('does not require write only properties', () => {
+                        const [ res ] = operation.response(200, { name: 'Bob' });
+                        expect(res.body).to.deep.equal({ name: 'Bob' });
+                    });
+
+                    it('can strip write only properties', () => {
+                        const [ res ] = operation.response(200, { name: 'Bob', password: 'secret' }, {}, { stripWriteOnly: true });
+                        expect(res.body).to.deep.equal({ name: 'Bob' });
+                    });
+
+                    it('can strip write only properties defined in allOf schemas', () => {
+                        const [ allOfOperation ] = Enforcer.v3_0.Operation({
+                            responses: {
+                                200: {
+                                    description: 'success',
+                                    content: {
+                                        'application/json': {
+                                            schema: {
+                                                allOf: [
+                                                    { type: 'object', properties: { name: { type: 'string' } } },
+                                                    { type: 'object', properties: { password: { type: 'string', writeOnly: true } } }
+                                                ]
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        });
+                        const [ res, err ] = allOfOperation.response(200, { name: 'Bob', password: 'secret' }, {}, { stripWriteOnly: true });
+                        expect(err).to.equal(undefined);
+                        expect(res.body).to.deep.equal({ name: 'Bob' });
+                    });
+
+                });
+
             });
 
             describe('headers', () => {
@@ -1798,6 +2817,220 @@ describe('enforcer/operation', () => {
 
         });
 
+        describe('code ranges', () => {
+            let operation;
+
+            before(() => {
+                let err;
+                [ operation, err ] = new Enforcer.v3_0.Operation({
+                    responses: {
+                        200: {
+                            description: '',
+                            content: { 'application/json': { schema: { type: 'string', format: 'date' } } }
+                        },
+                        '2XX': {
+                            description: '',
+                            content: { 'text/plain': { schema: { type: 'integer' } } }
+                        },
+                        default: {
+                            description: '',
+                            content: { 'text/html': { schema: { type: 'string' } } }
+                        }
+                    }
+                });
+                if (err) throw Error(err);
+            });
+
+            it('uses the exact code before the range', () => {
+                const [ res, err ] = operation.response(200, new Date('2000-01-01T00:00:00.000Z'));
+                expect(err).to.equal(undefined);
+                expect(res.body).to.equal('2000-01-01');
+            });
+
+            it('uses the range before the default', () => {
+                const [ res, err ] = operation.response(201, 5);
+                expect(err).to.equal(undefined);
+                expect(res.body).to.equal(5);
+
+                const [ , error ] = operation.response(201, 'abc');
+                expect(error).to.match(/Expected an integer/);
+            });
+
+            it('uses the default when no code or range matches', () => {
+                const [ res, err ] = operation.response(404, 'Not found');
+                expect(err).to.equal(undefined);
+                expect(res.body).to.equal('Not found');
+            });
+
+            it('gets content type matches for a range', () => {
+                const [ matches ] = operation.getResponseContentTypeMatches(204, '*/*');
+                expect(matches).to.deep.equal(['text/plain']);
+            });
+
+        });
+
+    });
+
+    describe('xml', () => {
+        const personXml = '<ex:person xmlns:ex="http://example.com/schema" id="5">' +
+            '<name>Bob &amp; Sue</name>' +
+            '<birthday>2000-01-01</birthday>' +
+            '<nicknames><nickname>B</nickname><nickname>S</nickname></nicknames>' +
+            '<tags>a</tags><tags>b</tags>' +
+            '<address><City>Provo</City></address>' +
+            '<active>true</active>' +
+            '</ex:person>';
+        let operation;
+        let person;
+
+        function personSchema() {
+            return {
+                type: 'object',
+                xml: { name: 'person', namespace: 'http://example.com/schema', prefix: 'ex' },
+                properties: {
+                    id: { type: 'integer', xml: { attribute: true } },
+                    name: { type: 'string' },
+                    birthday: { type: 'string', format: 'date' },
+                    nicknames: { type: 'array', items: { type: 'string', xml: { name: 'nickname' } }, xml: { wrapped: true } },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    address: { type: 'object', properties: { city: { type: 'string', xml: { name: 'City' } } } },
+                    active: { type: 'boolean' }
+                }
+            };
+        }
+
+        before(() => {
+            let err;
+            [ operation, err ] = new Enforcer.v3_0.Operation({
+                requestBody: {
+                    content: {
+                        'application/xml': { schema: personSchema() }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: '',
+                        content: {
+                            'application/xml': { schema: personSchema() }
+                        }
+                    }
+                }
+            });
+            if (err) throw Error(err);
+
+            person = {
+                id: 5,
+                name: 'Bob & Sue',
+                birthday: new Date('2000-01-01T00:00:00.000Z'),
+                nicknames: ['B', 'S'],
+                tags: ['a', 'b'],
+                address: { city: 'Provo' },
+                active: true
+            };
+        });
+
+        it('deserializes attributes, elements, and arrays', () => {
+            const [ req, err ] = operation.request({ body: personXml, headers: { 'content-type': 'application/xml' } });
+            expect(err).to.equal(undefined);
+            expect(req.body).to.deep.equal(person);
+        });
+
+        it('ignores the XML declaration, comments, and whitespace between elements', () => {
+            const body = '<?xml version="1.0" encoding="UTF-8"?>\n<!-- a person -->\n' +
+                '<person id="5">\n  <name><![CDATA[Bob & Sue]]></name>\n  <tags>a</tags>\n</person>\n';
+            const [ req, err ] = operation.request({ body, headers: { 'content-type': 'application/xml' } });
+            expect(err).to.equal(undefined);
+            expect(req.body).to.deep.equal({ id: 5, name: 'Bob & Sue', tags: ['a'] });
+        });
+
+        it('validates the deserialized value', () => {
+            const [ , err ] = operation.request({ body: '<person id="abc"/>', headers: { 'content-type': 'application/xml' } });
+            expect(err).to.match(/at: id\s+Expected an integer/);
+        });
+
+        it('produces an error for malformed XML', () => {
+            const [ , err ] = operation.request({ body: '<person><name>Bob</person>', headers: { 'content-type': 'application/xml' } });
+            expect(err).to.match(/Unable to parse body\s+Unable to parse XML: Unexpected closing tag: person/);
+        });
+
+        it('serializes the response body', () => {
+            const [ res, err ] = operation.response(200, person, { 'content-type': 'application/xml' });
+            expect(err).to.equal(undefined);
+            expect(res.body).to.equal(personXml);
+        });
+
+        it('round trips a value', () => {
+            const [ res ] = operation.response(200, person, { 'content-type': 'application/xml' });
+            const [ req ] = operation.request({ body: res.body, headers: { 'content-type': 'application/xml' } });
+            expect(req.body).to.deep.equal(person);
+        });
+
+        it('names the root element using the component schema name', async () => {
+            const openapi = await Enforcer({
+                openapi: '3.0.0',
+                info: { title: '', version: '' },
+                paths: {
+                    '/': {
+                        get: {
+                            responses: {
+                                200: {
+                                    description: '',
+                                    content: {
+                                        'application/xml': { schema: { $ref: '#/components/schemas/Pet' } }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                components: {
+                    schemas: {
+                        Pet: {
+                            type: 'object',
+                            properties: {
+                                names: { type: 'array', items: { type: 'string', xml: { name: 'name' } }, xml: { name: 'aliases', wrapped: true } }
+                            }
+                        }
+                    }
+                }
+            });
+            const [ res ] = openapi.paths['/'].get.response(200, { names: ['Fido', 'Rex'] }, { 'content-type': 'application/xml' });
+            expect(res.body).to.equal('<Pet><aliases><name>Fido</name><name>Rex</name></aliases></Pet>');
+        });
+
+        it('deserializes and serializes v2 bodies', () => {
+            const [ operation, err ] = new Enforcer.v2_0.Operation({
+                consumes: ['application/xml'],
+                produces: ['application/xml'],
+                parameters: [
+                    { name: 'body', in: 'body', schema: personSchema() }
+                ],
+                responses: {
+                    200: { description: '', schema: personSchema() }
+                }
+            });
+            if (err) throw Error(err);
+
+            const [ req ] = operation.request({ body: personXml, headers: { 'content-type': 'application/xml' } });
+            expect(req.body).to.deep.equal(person);
+
+            const [ res ] = operation.response(200, person, { 'content-type': 'application/xml' });
+            expect(res.body).to.equal(personXml);
+        });
+
     });
 
 });
+
+function multipartBody(boundary, parts) {
+    const buffers = [];
+    parts.forEach(part => {
+        let head = '--' + boundary + '\r\nContent-Disposition: form-data; name="' + part.name + '"';
+        if (part.filename) head += '; filename="' + part.filename + '"';
+        head += '\r\n';
+        Object.keys(part.headers || {}).forEach(key => head += key + ': ' + part.headers[key] + '\r\n');
+        buffers.push(Buffer.from(head + '\r\n'), Buffer.from(part.body), Buffer.from('\r\n'));
+    });
+    buffers.push(Buffer.from('--' + boundary + '--\r\n'));
+    return Buffer.concat(buffers);
+}
@@ -17,6 +17,7 @@
 'use strict';
 const expect        = require('chai').expect;
 const Enforcer      = require('../');
+const util          = require('../src/util');
 
 describe('enforcer/parameter', () => {
     const schema = { type: 'string' };
@@ -456,6 +457,237 @@ describe('enforcer/parameter', () => {
 
     });
 
+    describe('parse', () => {
+
+        it('can parse a query string that has not been parsed', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'color',
+                in: 'query',
+                schema: { type: 'array', items: { type: 'string' } }
+            });
+            const [ value ] = parameter.parse('color=red&color=blue');
+            expect(value).to.deep.equal(['red', 'blue']);
+        });
+
+        it('can parse a v2 multi collection format that has not been parsed', () => {
+            const [ parameter ] = Enforcer.v2_0.Parameter({
+                name: 'color',
+                in: 'query',
+                type: 'array',
+                collectionFormat: 'multi',
+                items: { type: 'string' }
+            });
+            const [ value ] = parameter.parse('color=red&color=blue');
+            expect(value).to.deep.equal(['red', 'blue']);
+        });
+
+        it('decodes deep object keys and values', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'filter',
+                in: 'query',
+                style: 'deepObject',
+                explode: true,
+                schema: { type: 'object', additionalProperties: { type: 'string' } }
+            });
+            const [ value ] = parameter.parse('filter[first%20name]=Bob+Smith&filter[city]=S%C3%A3o%20Paulo');
+            expect(value).to.deep.equal({ 'first name': 'Bob Smith', city: 'São Paulo' });
+        });
+
+        it('keeps equal signs in cookie values', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'token',
+                in: 'cookie',
+                schema: { type: 'string' }
+            });
+            const [ value ] = parameter.parse('other=1; token=abc==');
+            expect(value).to.equal('abc==');
+        });
+
+    });
+
+    describe('stringify', () => {
+
+        it('stringifies a v3 exploded matrix array', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'color',
+                in: 'path',
+                required: true,
+                style: 'matrix',
+                explode: true,
+                schema: { type: 'array', items: { type: 'string' } }
+            });
+            const [ value ] = parameter.stringify(['red', 'dark blue']);
+            expect(value).to.equal(';color=red;color=dark%20blue');
+        });
+
+        it('stringifies a v3 label object', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'point',
+                in: 'path',
+                required: true,
+                style: 'label',
+                schema: { type: 'object' }
+            });
+            const [ value ] = parameter.stringify({ x: 1, y: 2 });
+            expect(value).to.equal('.x,1,y,2');
+        });
+
+        it('stringifies a v3 deep object', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'filter',
+                in: 'query',
+                style: 'deepObject',
+                explode: true,
+                schema: { type: 'object' }
+            });
+            const [ value ] = parameter.stringify({ name: 'Bob Smith', age: 30 });
+            expect(value).to.equal('filter[name]=Bob%20Smith&filter[age]=30');
+        });
+
+        it('stringifies a v3 header without encoding it', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'x-point',
+                in: 'header',
+                explode: true,
+                schema: { type: 'object' }
+            });
+            const [ value ] = parameter.stringify({ x: 'a b', y: 2 });
+            expect(value).to.equal('x=a b,y=2');
+        });
+
+        it('percent encodes cookie values so that they cannot add cookies', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'session',
+                in: 'cookie',
+                schema: { type: 'string' }
+            });
+            const [ value ] = parameter.stringify('abc; admin=true');
+            expect(value).to.equal('session=abc%3B%20admin%3Dtrue');
+            expect(parameter.parse(value).value).to.equal('abc; admin=true');
+        });
+
+        it('does not allow line breaks in header values', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'x-value',
+                in: 'header',
+                schema: { type: 'string' }
+            });
+            const [ , err ] = parameter.stringify('abc\r\nx-injected: true');
+            expect(err).to.match(/Header values cannot contain carriage returns or line feeds/);
+        });
+
+        it('does not allow header array items that contain the delimiter', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'x-values',
+                in: 'header',
+                schema: { type: 'array', items: { type: 'string' } }
+            });
+            const [ , err ] = parameter.stringify(['a,b', 'c']);
+            expect(err).to.match(/at: 0\s+Value cannot contain the delimiter: ","/);
+        });
+
+        it('encodes periods for the label style', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'file',
+                in: 'path',
+                required: true,
+                style: 'label',
+                explode: true,
+                schema: { type: 'array', items: { type: 'string' } }
+            });
+            const [ value ] = parameter.stringify(['a.txt', 'b']);
+            expect(value).to.equal('.a%2Etxt.b');
+        });
+
+        it('stringifies a v2 collection format', () => {
+            const [ parameter ] = Enforcer.v2_0.Parameter({
+                name: 'ids',
+                in: 'query',
+                type: 'array',
+                collectionFormat: 'ssv',
+                items: { type: 'integer' }
+            });
+            const [ value ] = parameter.stringify([1, 2, 3]);
+            expect(value).to.equal('ids=1%202%203');
+        });
+
+        it('does not stringify non primitive items', () => {
+            const [ parameter ] = Enforcer.v3_0.Parameter({
+                name: 'color',
+                in: 'query',
+                schema: { type: 'array', items: { type: 'object' } }
+            });
+            const [ , err ] = parameter.stringify([{}]);
+            expect(err).to.match(/Unable to stringify value/);
+        });
+
+        describe('round trip', () => {
+            const iterations = 25;
+            const cases = [];
+
+            // v3 combinations of location, style, explode, and type that the specification allows
+            const v3Styles = {
+                cookie: [['form', false, ['primitive', 'array', 'object']], ['form', true, ['primitive']]],
+                header: [['simple', false, ['primitive', 'array', 'object']], ['simple', true, ['primitive', 'array', 'object']]],
+                path: ['simple', 'label', 'matrix'].reduce((p, style) => p.concat([[style, false, ['primitive', 'array', 'object']], [style, true, ['primitive', 'array', 'object']]]), []),
+                query: [
+                    ['form', false, ['primitive', 'array', 'object']],
+                    ['form', true, ['primitive', 'array', 'object']],
+                    ['spaceDelimited', false, ['array']],
+                    ['pipeDelimited', false, ['array']],
+                    ['deepObject', true, ['object']]
+                ]
+            };
+            Object.keys(v3Styles).forEach(location => {
+                v3Styles[location].forEach(([ style, explode, types ]) => {
+                    types.forEach(type => cases.push({ major: 3, location, style, explode, type }));
+                });
+            });
+
+            // v2 combinations of location, type, and collection format
+            ['formData', 'header', 'path', 'query'].forEach(location => {
+                cases.push({ major: 2, location, type: 'primitive' });
+                const formats = ['csv', 'pipes', 'ssv', 'tsv'];
+                if (location === 'formData' || location === 'query') formats.push('multi');
+                formats.forEach(collectionFormat => cases.push({ major: 2, location, type: 'array', collectionFormat }));
+            });
+
+            cases.forEach(item => {
+                const title = item.major === 2
+                    ? 'v2 ' + item.location + ' ' + item.type + (item.collectionFormat ? ' ' + item.collectionFormat : '')
+                    : 'v3 ' + item.location + ' ' + item.style + (item.explode ? ' exploded ' : ' ') + item.type;
+
+                it(title, () => {
+                    const random = seededRandom(title);
+                    for (let i = 0; i < iterations; i++) {
+                        const { definition, value } = generate(item, random);
+                        const [ parameter, error ] = item.major === 2
+                            ? Enforcer.v2_0.Parameter(definition)
+                            : Enforcer.v3_0.Parameter(definition);
+                        expect(error, title).to.equal(undefined);
+
+                        const [ string, stringifyError ] = parameter.stringify(value);
+
+                        // header values are not encoded so values that contain a delimiter are rejected
+                        if (stringifyError && item.location === 'header') {
+                            expect(stringifyError, title).to.match(/Value cannot contain the delimiter/);
+                            continue;
+                        }
+                        expect(stringifyError, title).to.equal(undefined);
+
+                        // form data values are taken from the parsed body
+                        const [ parsed, parseError ] = item.location === 'formData'
+                            ? parameter.parse(string, util.parseQueryString(string))
+                            : parameter.parse(string);
+                        expect(parseError, title + ': ' + string).to.equal(undefined);
+                        expect(parsed, title + ': ' + string).to.deep.equal(item.location === 'path' ? encodePathValue(value, item.style) : value);
+                    }
+                });
+            });
+        });
+
+    });
+
     describe('required', () => {
 
         it('can be set', () => {
@@ -736,4 +968,93 @@ describe('enforcer/parameter', () => {
 
     });
 
-});
\ No newline at end of file
+});
+
+// unreserved, reserved, and non-ASCII characters
+const characters = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_.~!*\'()/?:@$&=+#%;,[]é';
+
+// query and form data values are decoded before they are split so they cannot contain their commas
+const alphabets = {
+    cookie: characters,
+    formData: characters.replace(',', ''),
+    header: characters,
+    path: characters,
+    query: characters.replace(',', '')
+};
+
+// generate a parameter definition and a value that it can represent
+function generate({ major, location, style, explode, type, collectionFormat }, random) {
+    const alphabet = alphabets[location];
+    const primitives = ['boolean', 'integer', 'number', 'string'];
+    const pick = items => items[Math.floor(random() * items.length)];
+    const text = () => {
+        const length = 1 + Math.floor(random() * 8);
+        let result = '';
+        for (let i = 0; i < length; i++) result += pick(alphabet);
+        return result;
+    };
+    const primitive = type => {
+        switch (type) {
+            case 'boolean': return random() < .5;
+            case 'integer': return Math.floor(random() * 2000) - 1000;
+            // the label style uses a period as its delimiter so decimals cannot be represented
+            case 'number': return (Math.floor(random() * 200000) - 100000) / (style === 'label' ? 1 : 100);
+            case 'string': return text();
+        }
+    };
+    const itemType = pick(primitives);
+    const count = 1 + Math.floor(random() * 4);
+    const definition = { name: 'value', in: location };
+    if (location === 'path') definition.required = true;
+
+    let schema;
+    let value;
+    if (type === 'primitive') {
+        schema = { type: itemType };
+        value = primitive(itemType);
+    } else if (type === 'array') {
+        schema = { type: 'array', items: { type: itemType } };
+        value = [];
+        for (let i = 0; i < count; i++) value.push(primitive(itemType));
+    } else {
+        schema = { type: 'object', additionalProperties: { type: itemType } };
+        value = {};
+        for (let i = 0; i < count; i++) value[text()] = primitive(itemType);
+    }
+
+    if (major === 2) {
+        Object.assign(definition, schema);
+        if (collectionFormat) definition.collectionFormat = collectionFormat;
+    } else {
+        definition.schema = schema;
+        definition.style = style;
+        definition.explode = explode;
+    }
+    return { definition, value };
+}
+
+// path values are not decoded when they are parsed so strings keep the encoding that stringify gives them
+function encodePathValue(value, style) {
+    const encode = v => typeof v === 'string'
+        ? encodeURIComponent(v).replace(/\./g, style === 'label' ? '%2E' : '.')
+        : v;
+    if (Array.isArray(value)) return value.map(encode);
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach(key => result[encode(key)] = encode(value[key]));
+        return result;
+    }
+    return encode(value);
+}
+
+// a deterministic pseudo random number generator so that failures can be reproduced
+function seededRandom(seed) {
+    let state = 0;
+    for (let i = 0; i < seed.length; i++) state = (state * 31 + seed.charCodeAt(i)) | 0;
+    return function () {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
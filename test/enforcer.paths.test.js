@@ -101,6 +101,91 @@ describe('enforcer/paths', () => {
         expect(err.count).to.equal(5);
     });
 
+    it('does not identify paths with the same shape as equivalent', () => {
+        const [ , err ] = Enforcer.v2_0.Paths({
+            '/a/{a}': validPathObject([
+                { name: 'a', in: 'path', required: true, type: 'string' }
+            ]),
+            '/b/{b}': validPathObject([
+                { name: 'b', in: 'path', required: true, type: 'string' }
+            ]),
+            '/b/{c}': validPathObject([
+                { name: 'c', in: 'path', required: true, type: 'string' }
+            ])
+        });
+        expect(err).to.match(/Equivalent paths:\s+\/b\/{b}\s+\/b\/{c}/);
+        expect(err.count).to.equal(2);
+    });
+
+    describe('ambiguous paths', () => {
+        const definition = {
+            '/users/{id}': validPathObject([
+                { name: 'id', in: 'path', required: true, type: 'string' }
+            ]),
+            '/users/me': validPathObject(),
+            '/files/{name}.json': validPathObject([
+                { name: 'name', in: 'path', required: true, type: 'string' }
+            ]),
+            '/files/a{id}': validPathObject([
+                { name: 'id', in: 'path', required: true, type: 'string' }
+            ]),
+            '/files/b{id}': validPathObject([
+                { name: 'id', in: 'path', required: true, type: 'string' }
+            ])
+        };
+
+        it('produces a warning for a static segment that a path parameter can match', () => {
+            const [ , err, warning ] = Enforcer.v2_0.Paths({
+                '/users/{id}': definition['/users/{id}'],
+                '/users/me': definition['/users/me']
+            });
+            expect(err).to.equal(undefined);
+            expect(warning).to.match(/Ambiguous paths:\s+\/users\/me\s+\/users\/{id}/);
+            expect(warning.count).to.equal(2);
+        });
+
+        it('produces a warning for templated segments that can match the same value', () => {
+            const [ , , warning ] = Enforcer.v2_0.Paths({
+                '/files/{name}.json': definition['/files/{name}.json'],
+                '/files/a{id}': definition['/files/a{id}'],
+                '/files/b{id}': definition['/files/b{id}']
+            });
+            expect(warning).to.match(/Ambiguous paths:\s+\/files\/{name}\.json\s+\/files\/a{id}/);
+            expect(warning).to.match(/Ambiguous paths:\s+\/files\/{name}\.json\s+\/files\/b{id}/);
+            expect(warning.count).to.equal(4);
+        });
+
+        it('can produce errors for ambiguous paths', async () => {
+            const [ , err, warning ] = await Enforcer({
+                swagger: '2.0',
+                info: { title: '', version: '' },
+                paths: definition
+            }, { ambiguousPaths: 'error', fullResult: true });
+            expect(err).to.match(/Ambiguous paths can match the same request/);
+            expect(warning).to.equal(undefined);
+        });
+
+        it('can ignore ambiguous paths', async () => {
+            const [ , err, warning ] = await Enforcer({
+                swagger: '2.0',
+                info: { title: '', version: '' },
+                paths: definition
+            }, { ambiguousPaths: 'ignore', fullResult: true });
+            expect(err).to.equal(undefined);
+            expect(warning).to.equal(undefined);
+        });
+
+        it('requires a valid ambiguousPaths option', async () => {
+            try {
+                await Enforcer({ swagger: '2.0', info: { title: '', version: '' }, paths: {} }, { ambiguousPaths: 'maybe' });
+                throw Error('Should not get here');
+            } catch (err) {
+                expect(err.message).to.match(/Invalid ambiguousPaths option/);
+            }
+        });
+
+    });
+
     it('correctly prioritizes path selection', () => {
         const [ paths ] = Enforcer.v2_0.Paths({
             '/a/{a}': validPathObject([
@@ -116,4 +201,93 @@ describe('enforcer/paths', () => {
         expect(y.path).to.equal(paths['/a/{a}']);
     });
 
-});
\ No newline at end of file
+    it('prioritizes static segments at the first position that differs', () => {
+        const [ paths ] = Enforcer.v2_0.Paths({
+            '/{a}/{b}': validPathObject([
+                { name: 'a', in: 'path', required: true, type: 'string' },
+                { name: 'b', in: 'path', required: true, type: 'string' }
+            ]),
+            '/{c}/x': validPathObject([
+                { name: 'c', in: 'path', required: true, type: 'string' }
+            ]),
+            '/y/{d}': validPathObject([
+                { name: 'd', in: 'path', required: true, type: 'string' }
+            ])
+        });
+
+        expect(paths.findMatch('/y/x').path).to.equal(paths['/y/{d}']);
+        expect(paths.findMatch('/z/x').path).to.equal(paths['/{c}/x']);
+        expect(paths.findMatch('/z/x').params).to.deep.equal({ c: 'z' });
+        expect(paths.findMatch('/z/w').params).to.deep.equal({ a: 'z', b: 'w' });
+    });
+
+    it('can match path parameters within a segment', () => {
+        const [ paths ] = Enforcer.v2_0.Paths({
+            '/files/{name}.{ext}': validPathObject([
+                { name: 'name', in: 'path', required: true, type: 'string' },
+                { name: 'ext', in: 'path', required: true, type: 'string' }
+            ]),
+            '/files/v{version}/{id}': validPathObject([
+                { name: 'version', in: 'path', required: true, type: 'string' },
+                { name: 'id', in: 'path', required: true, type: 'string' }
+            ])
+        });
+
+        expect(paths.findMatch('/files/a.b.c').params).to.deep.equal({ name: 'a', ext: 'b.c' });
+        expect(paths.findMatch('/files/v2/abc').params).to.deep.equal({ version: '2', id: 'abc' });
+        expect(paths.findMatch('/files/abc')).to.equal(undefined);
+        expect(paths.findMatch('/files/v2/abc/def')).to.equal(undefined);
+    });
+
+    it('ignores the query string and trailing slash', () => {
+        const [ paths ] = Enforcer.v2_0.Paths({
+            '/': validPathObject(),
+            '/a': validPathObject()
+        });
+
+        expect(paths.findMatch('/').path).to.equal(paths['/']);
+        expect(paths.findMatch('').path).to.equal(paths['/']);
+        expect(paths.findMatch('/a/?b=1').path).to.equal(paths['/a']);
+    });
+
+    describe('lookup cost', () => {
+
+        // count the regular expressions executed while matching the last path of a definition with the specified number of paths
+        function countExecutions (count) {
+            const definition = {};
+            const half = count / 2;
+            for (let i = 0; i < half; i++) {
+                definition['/resource' + i] = validPathObject();
+                definition['/resource' + i + '/{id}'] = validPathObject([
+                    { name: 'id', in: 'path', required: true, type: 'string' }
+                ]);
+            }
+            const [ paths ] = Enforcer.v2_0.Paths(definition);
+
+            const exec = RegExp.prototype.exec;
+            let executions = 0;
+            RegExp.prototype.exec = function () {
+                executions++;
+                return exec.apply(this, arguments);
+            };
+            try {
+                const match = paths.findMatch('/resource' + (half - 1) + '/abc');
+                if (!match) throw Error('Path not matched');
+            } finally {
+                RegExp.prototype.exec = exec;
+            }
+            return executions;
+        }
+
+        it('does not execute more regular expressions as the path count grows', () => {
+            const small = countExecutions(50);
+            const large = countExecutions(1000);
+
+            // a linear scan tests every path while the trie only tests the parameters under the matched static segments
+            expect(small).to.be.above(0);
+            expect(large).to.equal(small);
+        });
+
+    });
+
+});
@@ -52,6 +52,34 @@ describe('enforcer/request-body', () => {
         expect(err).to.match(/Property not allowed: requestBody/);
     });
 
+    describe('defineBodyParser', () => {
+
+        it('requires a valid media type', () => {
+            expect(() => Enforcer.v3_0.RequestBody.defineBodyParser('json', () => {})).to.throw(/Invalid media type specified/);
+        });
+
+        it('requires a parser function', () => {
+            expect(() => Enforcer.v3_0.RequestBody.defineBodyParser('application/x-test', {})).to.throw(/Invalid parser specified/);
+        });
+
+        it('parses raw bodies for the media type', () => {
+            Enforcer.v3_0.RequestBody.defineBodyParser('application/x-test-csv', ({ value }) => value.toString().split(','));
+            const [ operation ] = Enforcer.v3_0.Operation({
+                requestBody: {
+                    content: {
+                        'application/x-test-csv': {
+                            schema: { type: 'array', items: { type: 'string' } }
+                        }
+                    }
+                },
+                responses: { 200: { description: '' } }
+            });
+            const [ req ] = operation.request({ body: 'a,b,c', headers: { 'content-type': 'application/x-test-csv' } });
+            expect(req.body).to.deep.equal(['a', 'b', 'c']);
+        });
+
+    });
+
     describe('encoding', () => {
 
         it('is allowed with multipart mimetype', () => {
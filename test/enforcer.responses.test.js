@@ -0,0 +1,91 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect        = require('chai').expect;
+const Responses2    = require('../').v2_0.Responses;
+const Responses3    = require('../').v3_0.Responses;
+
+describe('enforcer/responses', () => {
+
+    it('cannot be empty', () => {
+        const [ , err ] = new Responses3({});
+        expect(err).to.match(/Response object cannot be empty/);
+    });
+
+    describe('ranges', () => {
+
+        it('are not allowed for v2', () => {
+            const [ , err ] = new Responses2({ '2XX': { description: '' } });
+            expect(err).to.match(/Property not allowed: 2XX/);
+        });
+
+        it('are allowed for v3', () => {
+            const [ , err, warning ] = new Responses3({ '2XX': { description: '' }, '4XX': { description: '' } });
+            expect(err).to.equal(undefined);
+            expect(warning).to.equal(undefined);
+        });
+
+        it('must be a valid range', () => {
+            const [ , err ] = new Responses3({ '6XX': { description: '' } });
+            expect(err).to.match(/Property not allowed: 6XX/);
+        });
+
+        it('warns when overlapping with explicit codes', () => {
+            const [ , err, warning ] = new Responses3({
+                200: { description: '' },
+                201: { description: '' },
+                '2XX': { description: '' },
+                404: { description: '' }
+            });
+            expect(err).to.equal(undefined);
+            expect(warning).to.match(/Response range 2XX overlaps with the response codes 200, 201/);
+            expect(warning.count).to.equal(1);
+        });
+
+    });
+
+    describe('findMatch', () => {
+        let responses;
+
+        before(() => {
+            [ responses ] = new Responses3({
+                200: { description: 'ok' },
+                '2XX': { description: 'success' },
+                default: { description: 'other' }
+            });
+        });
+
+        it('finds an exact code', () => {
+            expect(responses.findMatch(200).description).to.equal('ok');
+        });
+
+        it('finds a range', () => {
+            expect(responses.findMatch('204').description).to.equal('success');
+        });
+
+        it('finds the default', () => {
+            expect(responses.findMatch(500).description).to.equal('other');
+        });
+
+        it('returns undefined when nothing matches', () => {
+            const [ responses ] = new Responses3({ 200: { description: '' } });
+            expect(responses.findMatch(500)).to.equal(undefined);
+        });
+
+    });
+
+});
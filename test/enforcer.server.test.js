@@ -0,0 +1,93 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect        = require('chai').expect;
+const Server        = require('../').v3_0.Server;
+
+describe('enforcer/server', () => {
+
+    describe('definition', () => {
+
+        it('allows variables that are used in the url', () => {
+            const [ , err, warning ] = new Server({
+                url: 'https://{env}.example.com',
+                variables: { env: { default: 'api' } }
+            });
+            expect(err).to.equal(undefined);
+            expect(warning).to.equal(undefined);
+        });
+
+        it('produces an error for url variables that are not defined', () => {
+            const [ , err ] = new Server({
+                url: 'https://{env}.example.com/{version}',
+                variables: { env: { default: 'api' } }
+            });
+            expect(err).to.match(/Server url uses one or more variables that are not defined: version/);
+        });
+
+        it('warns for variables that are not used in the url', () => {
+            const [ , err, warning ] = new Server({
+                url: 'https://api.example.com',
+                variables: { env: { default: 'api' } }
+            });
+            expect(err).to.equal(undefined);
+            expect(warning).to.match(/Server variables are defined but not used in the url: env/);
+        });
+
+    });
+
+    describe('resolve', () => {
+        let server;
+
+        before(() => {
+            [ server ] = new Server({
+                url: 'https://{env}.example.com:{port}/{version}',
+                variables: {
+                    env: { default: 'api' },
+                    port: { default: '443', enum: ['443', '8443'] },
+                    version: { default: 'v2', enum: ['v1', 'v2'] }
+                }
+            });
+        });
+
+        it('uses variable defaults', () => {
+            const [ url ] = server.resolve();
+            expect(url).to.equal('https://api.example.com:443/v2');
+        });
+
+        it('uses supplied variables', () => {
+            const [ url ] = server.resolve({ env: 'dev', port: 8443, version: 'v1' });
+            expect(url).to.equal('https://dev.example.com:8443/v1');
+        });
+
+        it('produces an error for a value not in the enum', () => {
+            const [ , err ] = server.resolve({ version: 'v3' });
+            expect(err).to.match(/at: version\s+Value must be one of: v1, v2. Received: v3/);
+        });
+
+        it('produces an error for a variable that is not defined', () => {
+            const [ , err ] = server.resolve({ region: 'us' });
+            expect(err).to.match(/Variable is not defined: region/);
+        });
+
+        it('requires variables to be a plain object', () => {
+            expect(() => server.resolve('v1')).to.throw(/Invalid variables/);
+        });
+
+    });
+
+});
@@ -0,0 +1,366 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Enforcer          = require('../index');
+const expect            = require('chai').expect;
+const http              = require('http');
+
+describe('httpAdapter', () => {
+
+    it('requires a valid maxBodySize', () => {
+        expect(() => Enforcer.httpAdapter({}, { maxBodySize: -1 })).to.throw(/Invalid maxBodySize/);
+    });
+
+    it('requires an openapi object', () => {
+        expect(() => Enforcer.httpAdapter()).to.throw(/Invalid openapi parameter/);
+    });
+
+    describe('v2', () => {
+        let server;
+
+        before(async () => {
+            const openapi = await Enforcer({
+                swagger: '2.0',
+                info: { title: '', version: '' },
+                consumes: ['application/json', 'application/x-www-form-urlencoded'],
+                produces: ['application/json'],
+                paths: {
+                    '/people': {
+                        post: {
+                            parameters: [
+                                {
+                                    name: 'body',
+                                    in: 'body',
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            birthday: { type: 'string', format: 'date' }
+                                        }
+                                    }
+                                }
+                            ],
+                            responses: {
+                                200: {
+                                    description: '',
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            age: { type: 'integer' },
+                                            birthday: { type: 'string', format: 'date' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    '/form': {
+                        post: {
+                            consumes: ['application/x-www-form-urlencoded'],
+                            parameters: [
+                                { name: 'name', in: 'formData', type: 'string' }
+                            ],
+                            responses: {
+                                200: { description: '', schema: { type: 'string' } }
+                            }
+                        }
+                    },
+                    '/upload': {
+                        post: {
+                            consumes: ['multipart/form-data'],
+                            parameters: [
+                                { name: 'name', in: 'formData', type: 'string', required: true },
+                                { name: 'file', in: 'formData', type: 'file', required: true }
+                            ],
+                            responses: {
+                                200: { description: '', schema: { type: 'string' } }
+                            }
+                        }
+                    }
+                }
+            });
+            server = await listen(openapi);
+        });
+
+        after(done => server.close(done));
+
+        it('decodes a JSON body using consumes', async () => {
+            const res = await request(server, { method: 'POST', path: '/people', headers: { 'content-type': 'application/json' } }, '{"birthday":"2000-01-01"}');
+            expect(res.statusCode, res.body).to.equal(200);
+            expect(res.headers['content-type']).to.equal('application/json');
+            expect(JSON.parse(res.body)).to.deep.equal({ birthday: '2000-01-01', isDate: true });
+        });
+
+        it('decodes a form body', async () => {
+            const res = await request(server, { method: 'POST', path: '/form', headers: { 'content-type': 'application/x-www-form-urlencoded' } }, 'name=Bob');
+            expect(res.statusCode, res.body).to.equal(200);
+            expect(res.body).to.equal('Bob');
+        });
+
+        it('decodes a multipart body into form data parameters', async () => {
+            const body = [
+                '--xyz',
+                'Content-Disposition: form-data; name="name"',
+                '',
+                'Bob',
+                '--xyz',
+                'Content-Disposition: form-data; name="file"; filename="a.txt"',
+                'Content-Type: text/plain',
+                '',
+                'hello',
+                '--xyz--',
+                ''
+            ].join('\r\n');
+            const res = await request(server, { method: 'POST', path: '/upload', headers: { 'content-type': 'multipart/form-data; boundary=xyz' } }, body);
+            expect(res.statusCode, res.body).to.equal(200);
+            expect(res.body).to.equal('Bob:hello');
+        });
+
+        it('produces 400 for a multipart body without a boundary', async () => {
+            const res = await request(server, { method: 'POST', path: '/upload', headers: { 'content-type': 'multipart/form-data' } }, 'hello');
+            expect(res.statusCode).to.equal(400);
+            expect(res.body).to.match(/Missing multipart boundary/);
+        });
+
+        it('produces 415 for a content type that is not consumed', async () => {
+            const res = await request(server, { method: 'POST', path: '/people', headers: { 'content-type': 'text/plain' } }, 'hello');
+            expect(res.statusCode).to.equal(415);
+            expect(res.body).to.match(/Unsupported Media Type: text\/plain/);
+        });
+
+        it('produces 400 for invalid JSON', async () => {
+            const res = await request(server, { method: 'POST', path: '/people', headers: { 'content-type': 'application/json' } }, '{');
+            expect(res.statusCode).to.equal(400);
+            expect(res.body).to.match(/Unable to parse JSON body/);
+        });
+
+        it('produces the path error for unknown paths', async () => {
+            const res = await request(server, { method: 'GET', path: '/unknown' });
+            expect(res.statusCode).to.equal(404);
+        });
+
+    });
+
+    describe('v3', () => {
+        let server;
+
+        before(async () => {
+            const openapi = await Enforcer({
+                openapi: '3.0.0',
+                info: { title: '', version: '' },
+                paths: {
+                    '/people': {
+                        post: {
+                            requestBody: {
+                                content: {
+                                    'application/json': {
+                                        schema: {
+                                            type: 'object',
+                                            properties: {
+                                                birthday: { type: 'string', format: 'date' }
+                                            }
+                                        }
+                                    },
+                                    'text/plain': {
+                                        schema: { type: 'string' }
+                                    }
+                                }
+                            },
+                            responses: {
+                                200: {
+                                    description: '',
+                                    content: {
+                                        'application/json': {
+                                            schema: {
+                                                type: 'object',
+                                                properties: {
+                                                    age: { type: 'integer' },
+                                                    birthday: { type: 'string', format: 'date' },
+                                                    password: { type: 'string', writeOnly: true }
+                                                }
+                                            }
+                                        },
+                                        'text/plain': {
+                                            schema: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+            server = await listen(openapi, { maxBodySize: 100 });
+        });
+
+        after(done => server.close(done));
+
+        it('decodes a JSON body using requestBody content', async () => {
+            const res = await request(server, { method: 'POST', path: '/people', headers: { 'content-type': 'application/json' } }, '{"birthday":"2000-01-01"}');
+            expect(res.statusCode, res.body).to.equal(200);
+            expect(res.headers['content-type']).to.equal('application/json');
+            expect(JSON.parse(res.body)).to.deep.equal({ birthday: '2000-01-01', isDate: true });
+        });
+
+        it('decodes a text body using the charset', async () => {
+            const res = await request(server, { method: 'POST', path: '/people', headers: { 'content-type': 'text/plain; charset=latin1', accept: 'text/plain' } }, Buffer.from('café', 'latin1'));
+            expect(res.statusCode, res.body).to.equal(200);
+            expect(res.headers['content-type']).to.equal('text/plain');
+            expect(res.body).to.equal('café');
+        });
+
+        it('produces 415 for a content type that is not in the request body content', async () => {
+            const res = await request(server, { method: 'POST', path: '/people', headers: { 'content-type': 'application/xml' } }, '<a/>');
+            expect(res.statusCode).to.equal(415);
+        });
+
+        it('does not write an invalid response', async () => {
+            const res = await request(server, { method: 'POST', path: '/people', headers: { 'content-type': 'application/json' } }, '{"age":"abc"}');
+            expect(res.statusCode).to.equal(500);
+            expect(res.body).to.match(/Response invalid/);
+        });
+
+        it('passes the send options to the response', async () => {
+            const res = await request(server, { method: 'POST', path: '/people', headers: { 'content-type': 'application/json', 'x-strip': 'true' } }, '{"password":"secret"}');
+            expect(res.statusCode, res.body).to.equal(200);
+            expect(JSON.parse(res.body)).to.deep.equal({});
+        });
+
+        it('produces 413 for a body that exceeds the maximum size', async () => {
+            const res = await request(server, { method: 'POST', path: '/people', headers: { 'content-type': 'text/plain' } }, 'x'.repeat(101));
+            expect(res.statusCode).to.equal(413);
+            expect(res.body).to.match(/Request body exceeds the maximum size of 100 bytes/);
+        });
+
+    });
+
+    describe('mock', () => {
+        let server;
+
+        before(async () => {
+            const openapi = await Enforcer({
+                openapi: '3.0.0',
+                info: { title: '', version: '' },
+                paths: {
+                    '/people': {
+                        get: {
+                            responses: {
+                                200: {
+                                    description: '',
+                                    content: {
+                                        'application/json': {
+                                            schema: { type: 'object' },
+                                            example: { name: 'Bob' }
+                                        }
+                                    }
+                                },
+                                500: {
+                                    description: '',
+                                    content: {
+                                        'text/plain': {
+                                            example: 'Oops'
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+            const mock = Enforcer.httpAdapter.mock(openapi);
+            server = http.createServer((req, res) => mock(req, res));
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        after(done => server.close(done));
+
+        it('writes the mock response', async () => {
+            const res = await request(server, { method: 'GET', path: '/people' });
+            expect(res.statusCode).to.equal(200);
+            expect(res.headers['content-type']).to.equal('application/json');
+            expect(JSON.parse(res.body)).to.deep.equal({ name: 'Bob' });
+        });
+
+        it('writes the forced status code', async () => {
+            const res = await request(server, { method: 'GET', path: '/people', headers: { 'x-mock-status': '500' } });
+            expect(res.statusCode).to.equal(500);
+            expect(res.body).to.equal('Oops');
+        });
+
+        it('writes mock errors', async () => {
+            const res = await request(server, { method: 'GET', path: '/people', headers: { accept: 'text/html' } });
+            expect(res.statusCode).to.equal(406);
+        });
+
+        it('writes a 400 for an invalid forced status code', async () => {
+            const res = await request(server, { method: 'GET', path: '/people?mockStatus=foo' });
+            expect(res.statusCode).to.equal(400);
+            expect(res.body).to.match(/Invalid response code: foo/);
+        });
+
+        it('writes a code within a forced range', async () => {
+            const res = await request(server, { method: 'GET', path: '/people?mockStatus=5XX' });
+            expect(res.statusCode).to.equal(500);
+            expect(res.body).to.equal('Oops');
+        });
+
+    });
+
+});
+
+// start a server that echos the request body back through the response helper
+function listen(openapi, options) {
+    const adapter = Enforcer.httpAdapter(openapi, options);
+    const server = http.createServer(async (req, res) => {
+        const [ value, error ] = await adapter(req, res);
+        if (error) {
+            res.statusCode = error.statusCode;
+            res.end(error.toString());
+        } else {
+            let body = value.body;
+            if (req.url === '/form') {
+                body = body.name;
+            } else if (req.url === '/upload') {
+                body = body.name + ':' + body.file;
+            } else if (body && typeof body === 'object') {
+                body = Object.assign({}, body);
+                if (body.birthday) body.isDate = body.birthday instanceof Date;
+            }
+            const [ , err ] = value.send(200, body, {}, { stripWriteOnly: req.headers['x-strip'] === 'true' });
+            if (err) {
+                res.statusCode = 500;
+                res.end(err.toString());
+            }
+        }
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function request(server, options, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(Object.assign({ host: '127.0.0.1', port: server.address().port }, options), res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({
+                body: Buffer.concat(chunks).toString(),
+                headers: res.headers,
+                statusCode: res.statusCode
+            }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
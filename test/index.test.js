@@ -1747,4 +1747,799 @@ describe('index/request', () => {
 
     });
 
+    describe('security', () => {
+
+        it('can validate v2 basic authentication', async () => {
+            const def = new DefinitionBuilder(2).addPath('/', 'get').build();
+            def.securityDefinitions = { basicAuth: { type: 'basic' } };
+            def.security = [{ basicAuth: [] }];
+            const enforcer = await Enforcer(def);
+
+            const [ , err ] = enforcer.request({ path: '/' }, { validateSecurity: true });
+            expect(err.statusCode).to.equal(401);
+
+            const authorization = 'Basic ' + Buffer.from('bob:secret').toString('base64');
+            const [ req ] = enforcer.request({ path: '/', headers: { authorization } }, { validateSecurity: true });
+            expect(req.security.credentials).to.deep.equal({ basicAuth: { username: 'bob', password: 'secret' } });
+        });
+
+        it('resolves to a result with a response function when verified asynchronously', async () => {
+            const def = new DefinitionBuilder(3).addPath('/', 'get').build();
+            def.components = { securitySchemes: { key: { type: 'apiKey', in: 'header', name: 'x-key' } } };
+            def.security = [{ key: [] }];
+            const enforcer = await Enforcer(def);
+            const [ req ] = await enforcer.request({ path: '/', headers: { 'x-key': 'abc' } }, {
+                verifySecurity: ({ credentials }) => Promise.resolve(credentials.key === 'abc')
+            });
+            expect(req.security.credentials).to.deep.equal({ key: 'abc' });
+            expect(req.operation).to.equal(enforcer.paths['/'].get);
+            expect(req.response).to.be.a('function');
+        });
+
+    });
+
+    describe('servers', () => {
+        let openapi;
+
+        before(async () => {
+            openapi = await Enforcer({
+                openapi: '3.0.0',
+                info: { title: '', version: '' },
+                servers: [
+                    {
+                        url: 'https://{env}.example.com/api/{version}',
+                        variables: {
+                            env: { default: 'api' },
+                            version: { default: 'v2', enum: ['v1', 'v2'] }
+                        }
+                    }
+                ],
+                paths: {
+                    '/people': {
+                        get: {
+                            responses: { 200: { description: '' } }
+                        }
+                    },
+                    '/files': {
+                        servers: [{ url: '/storage' }],
+                        get: {
+                            responses: { 200: { description: '' } }
+                        },
+                        post: {
+                            servers: [{ url: 'https://upload.example.com/upload/' }],
+                            responses: { 200: { description: '' } }
+                        }
+                    }
+                }
+            });
+        });
+
+        it('does not strip the server path by default', () => {
+            const [ , err ] = openapi.request({ path: '/api/v2/people' });
+            expect(err.statusCode).to.equal(404);
+        });
+
+        it('strips the server path using the variable default', () => {
+            const [ req, err ] = openapi.request({ path: '/api/v2/people' }, { matchServers: true });
+            expect(err).to.equal(undefined);
+            expect(req.operation).to.equal(openapi.paths['/people'].get);
+            expect(req.server).to.equal(openapi.servers[0]);
+        });
+
+        it('strips the server path using a variable enum value', () => {
+            const [ req, err ] = openapi.request({ path: '/api/v1/people?x=1' }, { matchServers: true, allowOtherQueryParameters: true });
+            expect(err).to.equal(undefined);
+            expect(req.operation).to.equal(openapi.paths['/people'].get);
+        });
+
+        it('produces a 404 for a path without a server prefix', () => {
+            const [ , err ] = openapi.request({ path: '/people' }, { matchServers: true });
+            expect(err.statusCode).to.equal(404);
+        });
+
+        it('uses path level servers', () => {
+            const [ req, err ] = openapi.request({ path: '/storage/files' }, { matchServers: true });
+            expect(err).to.equal(undefined);
+            expect(req.server).to.equal(openapi.paths['/files'].servers[0]);
+
+            const [ , error ] = openapi.request({ path: '/api/v2/files' }, { matchServers: true });
+            expect(error.statusCode).to.equal(404);
+        });
+
+        it('uses operation level servers', () => {
+            const [ req, err ] = openapi.request({ path: '/upload/files', method: 'post' }, { matchServers: true });
+            expect(err).to.equal(undefined);
+            expect(req.operation).to.equal(openapi.paths['/files'].post);
+            expect(req.server).to.equal(openapi.paths['/files'].post.servers[0]);
+        });
+
+        it('produces a 405 for a method not allowed at the server path', () => {
+            const [ , err ] = openapi.request({ path: '/api/v2/people', method: 'put' }, { matchServers: true });
+            expect(err.statusCode).to.equal(405);
+            expect(err.headers).to.have.property('Allow');
+            expect(String(err)).to.match(/^Request has one or more errors\n\s+Method not allowed: PUT/);
+        });
+
+        it('strips the v2 basePath', async () => {
+            const def = new DefinitionBuilder(2).addPath('/people', 'get').build();
+            def.basePath = '/api/';
+            const enforcer = await Enforcer(def);
+            const [ req, err ] = enforcer.request({ path: '/api/people' }, { matchServers: true });
+            expect(err).to.equal(undefined);
+            expect(req.operation).to.equal(enforcer.paths['/people'].get);
+        });
+
+        it('uses the root path when there are no servers', async () => {
+            const enforcer = await Enforcer(new DefinitionBuilder(3).addPath('/people', 'get').build());
+            const [ req, err ] = enforcer.request({ path: '/people' }, { matchServers: true });
+            expect(err).to.equal(undefined);
+            expect(req.server).to.equal(undefined);
+        });
+
+    });
+
+    describe('path matching', () => {
+        let openapi;
+
+        before(async () => {
+            const def = new DefinitionBuilder(3)
+                .addParameter('/People/{id}', 'get', { name: 'id', in: 'path', required: true, schema: { type: 'string' } })
+                .addPath('/files/', 'get')
+                .build();
+            def.servers = [{ url: '/api' }];
+            openapi = await Enforcer(def);
+        });
+
+        it('ignores trailing slashes by default', () => {
+            expect(openapi.request({ path: '/People/1/' })[1]).to.equal(undefined);
+            expect(openapi.request({ path: '/files' })[1]).to.equal(undefined);
+            expect(openapi.request({ path: '/files/' })[1]).to.equal(undefined);
+        });
+
+        it('can require that trailing slashes match the definition', () => {
+            const [ , err1 ] = openapi.request({ path: '/People/1/' }, { trailingSlash: 'strict' });
+            expect(err1.statusCode).to.equal(404);
+
+            const [ , err2 ] = openapi.request({ path: '/files' }, { trailingSlash: 'strict' });
+            expect(err2.statusCode).to.equal(404);
+
+            const [ req ] = openapi.request({ path: '/files/' }, { trailingSlash: 'strict' });
+            expect(req.operation).to.equal(openapi.paths['/files/'].get);
+        });
+
+        it('can suggest a redirect for a mismatched trailing slash', () => {
+            const [ , err ] = openapi.request({ path: '/People/1/?x=1' }, { trailingSlash: 'redirect' });
+            expect(err.statusCode).to.equal(308);
+            expect(err.headers).to.deep.equal({ Location: '/People/1?x=1' });
+            expect(String(err)).to.match(/^Request has one or more errors\n/);
+        });
+
+        it('includes the server path in the redirect suggestion', () => {
+            const [ , err ] = openapi.request({ path: '/api/files' }, { matchServers: true, trailingSlash: 'redirect' });
+            expect(err.statusCode).to.equal(308);
+            expect(err.headers).to.deep.equal({ Location: '/api/files/' });
+        });
+
+        it('does not suggest a redirect for a path that does not exist', () => {
+            const [ , err ] = openapi.request({ path: '/unknown/' }, { trailingSlash: 'redirect' });
+            expect(err.statusCode).to.equal(404);
+        });
+
+        it('requires a valid trailing slash policy', () => {
+            expect(() => openapi.request({ path: '/files/' }, { trailingSlash: 'maybe' })).to.throw(/Invalid trailingSlash option/);
+        });
+
+        it('matches case sensitively by default', () => {
+            const [ , err ] = openapi.request({ path: '/people/1' });
+            expect(err.statusCode).to.equal(404);
+        });
+
+        it('can match case insensitively', () => {
+            const [ req ] = openapi.request({ path: '/PEOPLE/Abc' }, { caseInsensitive: true });
+            expect(req.operation).to.equal(openapi.paths['/People/{id}'].get);
+            expect(req.path).to.deep.equal({ id: 'Abc' });
+        });
+
+        it('does not decode path parameters by default', () => {
+            const [ req ] = openapi.request({ path: '/People/a%20b' });
+            expect(req.path).to.deep.equal({ id: 'a%20b' });
+        });
+
+        it('can decode path parameters', () => {
+            const [ req ] = openapi.request({ path: '/People/a%20b%2Fc' }, { decodePathParameters: true });
+            expect(req.path).to.deep.equal({ id: 'a b/c' });
+        });
+
+        it('produces an error for invalid percent-encoding', () => {
+            const [ , err ] = openapi.request({ path: '/People/a%zz' }, { decodePathParameters: true });
+            expect(err.statusCode).to.equal(400);
+            expect(err).to.match(/at: id\s+Invalid percent-encoding: a%zz/);
+        });
+
+    });
+
+    describe('accept', () => {
+        let openapi;
+
+        before(async () => {
+            openapi = await Enforcer({
+                openapi: '3.0.0',
+                info: { title: '', version: '' },
+                paths: {
+                    '/': {
+                        get: {
+                            responses: {
+                                200: {
+                                    description: '',
+                                    content: {
+                                        'application/json': { schema: { type: 'string' } },
+                                        'text/plain': { schema: { type: 'string' } }
+                                    }
+                                },
+                                400: {
+                                    description: '',
+                                    content: {
+                                        'application/json': { schema: { type: 'string' } }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        });
+
+        it('ignores an unacceptable accept header by default', () => {
+            const [ req, err ] = openapi.request({ path: '/', headers: { accept: 'text/html' } });
+            expect(err).to.equal(undefined);
+            expect(req.contentType).to.equal(undefined);
+        });
+
+        it('produces a 406 error for an unacceptable accept header', () => {
+            const [ , err ] = openapi.request({ path: '/', headers: { accept: 'text/html' } }, { validateAccept: true });
+            expect(err.statusCode).to.equal(406);
+            expect(err).to.match(/Producible types: application\/json, text\/plain/);
+        });
+
+        it('does not produce an error for an acceptable accept header', () => {
+            const [ req, err ] = openapi.request({ path: '/', headers: { accept: 'text/*' } }, { validateAccept: true });
+            expect(err).to.equal(undefined);
+            expect(req.contentType).to.equal('text/plain');
+        });
+
+        it('does not produce an error without an accept header', () => {
+            const [ req, err ] = openapi.request({ path: '/' }, { validateAccept: true });
+            expect(err).to.equal(undefined);
+            expect(req.contentType).to.equal(undefined);
+        });
+
+        it('uses the negotiated content type for the response', () => {
+            const [ req ] = openapi.request({ path: '/', headers: { accept: 'text/plain, application/json;q=0.5' } });
+            const [ res ] = req.response(200, 'hello');
+            expect(res.schema).to.equal(openapi.paths['/'].get.responses[200].content['text/plain'].schema);
+        });
+
+        it('negotiates for the response code when it does not produce the negotiated type', () => {
+            const [ req ] = openapi.request({ path: '/', headers: { accept: 'text/plain, application/json;q=0.5' } });
+            const [ res ] = req.response(400, 'oops');
+            expect(res.schema).to.equal(openapi.paths['/'].get.responses[400].content['application/json'].schema);
+        });
+
+    });
+
+});
+
+describe('index/createClient', () => {
+    let openapi;
+
+    before(async () => {
+        openapi = await Enforcer({
+            openapi: '3.0.0',
+            info: { title: '', version: '' },
+            paths: {
+                '/people/{id}': {
+                    parameters: [
+                        { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+                    ],
+                    get: {
+                        operationId: 'getPerson',
+                        parameters: [
+                            { name: 'details', in: 'query', schema: { type: 'boolean' } },
+                            { name: 'x-trace', in: 'header', schema: { type: 'string' } }
+                        ],
+                        responses: {
+                            200: {
+                                description: '',
+                                content: {
+                                    'application/json': {
+                                        schema: {
+                                            type: 'object',
+                                            properties: {
+                                                id: { type: 'integer' },
+                                                birthday: { type: 'string', format: 'date' }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    put: {
+                        requestBody: {
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            birthday: { type: 'string', format: 'date' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        responses: {
+                            204: { description: '' }
+                        }
+                    }
+                }
+            }
+        });
+    });
+
+    // an in memory transport that sends the request through the enforcer and back
+    function transport (request) {
+        const input = {
+            headers: request.headers,
+            method: request.method,
+            path: request.path + (request.query ? '?' + request.query : '')
+        };
+        if (request.body !== undefined) input.body = request.body;
+        const [ req, error ] = openapi.request(input);
+        if (error) return { statusCode: error.statusCode, headers: {}, body: error.toString() };
+
+        if (req.operation.operationId !== 'getPerson') return { statusCode: 204, headers: {} };
+        const [ res ] = req.response(200, { id: req.path.id, birthday: new Date('2000-01-01T00:00:00.000Z') });
+        return {
+            statusCode: 200,
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(res.body)
+        };
+    }
+
+    it('requires a transport', () => {
+        expect(() => openapi.createClient({})).to.throw(/Invalid transport/);
+    });
+
+    it('does not allow an operationId that conflicts with the paths object', async () => {
+        const enforcer = await Enforcer({
+            openapi: '3.0.0',
+            info: { title: '', version: '' },
+            paths: {
+                '/paths': {
+                    get: { operationId: 'paths', responses: { 200: { description: '' } } }
+                }
+            }
+        });
+        expect(() => enforcer.createClient({ transport })).to.throw(/operationId "paths" conflicts/);
+    });
+
+    it('has a function for each operationId', async () => {
+        const client = openapi.createClient({ transport });
+        const [ value, error ] = await client.getPerson({ id: 5, details: true });
+        expect(error).to.equal(undefined);
+        expect(value.statusCode).to.equal(200);
+        expect(value.body).to.deep.equal({ id: 5, birthday: new Date('2000-01-01T00:00:00.000Z') });
+    });
+
+    it('has a function for each path and method', async () => {
+        const client = openapi.createClient({ transport });
+        expect(client.paths['/people/{id}'].get).to.be.a('function');
+        const [ value, error ] = await client.paths['/people/{id}'].put({ id: 5 }, { birthday: new Date('2000-01-01T00:00:00.000Z') });
+        expect(error).to.equal(undefined);
+        expect(value.statusCode).to.equal(204);
+    });
+
+    it('sends the built request to the transport', async () => {
+        const requests = [];
+        const client = openapi.createClient({
+            baseUrl: 'https://api.example.com/',
+            transport: async request => {
+                requests.push(request);
+                return { statusCode: 200, headers: { 'content-type': 'application/json' }, body: '{}' };
+            }
+        });
+        await client.getPerson({ id: 5, details: false, 'X-Trace': 'abc' });
+        expect(requests[0].url).to.equal('https://api.example.com/people/5?details=false');
+        expect(requests[0].method).to.equal('GET');
+        expect(requests[0].headers).to.deep.equal({ 'x-trace': 'abc' });
+        expect(requests[0].operation).to.equal(openapi.paths['/people/{id}'].get);
+    });
+
+    it('does not call the transport for an invalid request', async () => {
+        let called = false;
+        const client = openapi.createClient({ transport: () => called = true });
+        const [ , error ] = await client.getPerson({ id: 'abc', color: 'red' });
+        expect(called).to.equal(false);
+        expect(error).to.match(/Expected an integer/);
+        expect(error).to.match(/Received unexpected parameter: color/);
+    });
+
+    it('produces an error for an invalid response', async () => {
+        const client = openapi.createClient({
+            transport: () => ({ statusCode: 200, headers: { 'content-type': 'application/json' }, body: '{"id":"abc"}' })
+        });
+        const [ , error ] = await client.getPerson({ id: 5 });
+        expect(error).to.match(/In body[\s\S]+Expected an integer/);
+    });
+
+    it('places v2 form data parameters in the body', async () => {
+        const def = new DefinitionBuilder(2).build();
+        def.paths['/people'] = {
+            post: {
+                operationId: 'addPerson',
+                consumes: ['application/x-www-form-urlencoded'],
+                parameters: [
+                    { name: 'name', in: 'formData', type: 'string', required: true }
+                ],
+                responses: { 201: { description: '' } }
+            }
+        };
+        const openapi = await Enforcer(def);
+        const requests = [];
+        const client = openapi.createClient({
+            transport: request => {
+                requests.push(request);
+                return { statusCode: 201 };
+            }
+        });
+        const [ , error ] = await client.addPerson({ name: 'Bob' });
+        expect(error).to.equal(undefined);
+        expect(requests[0].body).to.equal('name=Bob');
+    });
+
+});
+
+describe('index/operations', () => {
+    let openapi;
+
+    before(async () => {
+        openapi = await Enforcer({
+            openapi: '3.0.0',
+            info: { title: '', version: '' },
+            paths: {
+                '/people': {
+                    get: {
+                        operationId: 'listPeople',
+                        tags: ['people'],
+                        responses: { 200: { description: '' } }
+                    },
+                    post: {
+                        tags: ['people', 'admin'],
+                        responses: { 201: { description: '' } }
+                    }
+                },
+                '/status': {
+                    get: {
+                        operationId: 'getStatus',
+                        responses: { 200: { description: '' } }
+                    }
+                }
+            }
+        });
+    });
+
+    it('can get an operation by its operationId', () => {
+        expect(openapi.getOperationById('listPeople')).to.equal(openapi.paths['/people'].get);
+        expect(openapi.getOperationById('getStatus')).to.equal(openapi.paths['/status'].get);
+    });
+
+    it('produces undefined for an unknown operationId', () => {
+        expect(openapi.getOperationById('unknown')).to.equal(undefined);
+        expect(openapi.getOperationById('toString')).to.equal(undefined);
+    });
+
+    it('requires a string operationId', () => {
+        expect(() => openapi.getOperationById(1)).to.throw(/Invalid operationId/);
+    });
+
+    it('can iterate every operation', () => {
+        const operations = Array.from(openapi.operations());
+        expect(operations.map(({ method, path }) => method + ' ' + path)).to.deep.equal([
+            'get /people',
+            'post /people',
+            'get /status'
+        ]);
+        expect(operations[1].operation).to.equal(openapi.paths['/people'].post);
+        expect(operations[1].pathItem).to.equal(openapi.paths['/people']);
+    });
+
+    it('can get the operations for a tag', () => {
+        expect(openapi.getOperationsByTag('people')).to.deep.equal([openapi.paths['/people'].get, openapi.paths['/people'].post]);
+        expect(openapi.getOperationsByTag('admin')).to.deep.equal([openapi.paths['/people'].post]);
+        expect(openapi.getOperationsByTag('unknown')).to.deep.equal([]);
+    });
+
+    it('works for v2', async () => {
+        const swagger = await Enforcer({
+            swagger: '2.0',
+            info: { title: '', version: '' },
+            paths: {
+                '/people': {
+                    get: {
+                        operationId: 'listPeople',
+                        responses: { 200: { description: '' } }
+                    }
+                }
+            }
+        });
+        expect(swagger.getOperationById('listPeople')).to.equal(swagger.paths['/people'].get);
+        expect(Array.from(swagger.operations()).length).to.equal(1);
+    });
+
+});
+
+describe('index/getServerUrls', () => {
+
+    it('lists the urls for root, path, and operation servers', async () => {
+        const openapi = await Enforcer({
+            openapi: '3.0.0',
+            info: { title: '', version: '' },
+            servers: [
+                {
+                    url: 'https://api.example.com/{version}',
+                    variables: { version: { default: 'v2', enum: ['v1', 'v2'] } }
+                }
+            ],
+            paths: {
+                '/people': {
+                    servers: [{ url: '/people-api' }],
+                    get: {
+                        servers: [{ url: 'https://api.example.com/v1' }],
+                        responses: { 200: { description: '' } }
+                    }
+                }
+            }
+        });
+        expect(openapi.getServerUrls()).to.deep.equal([
+            'https://api.example.com/v2',
+            'https://api.example.com/v1',
+            '/people-api'
+        ]);
+    });
+
+    it('produces v2 urls from the schemes, host, and basePath', async () => {
+        const def = new DefinitionBuilder(2).build();
+        def.host = 'api.example.com';
+        def.basePath = '/v1';
+        def.schemes = ['https', 'http'];
+        const openapi = await Enforcer(def);
+        expect(openapi.getServerUrls()).to.deep.equal(['https://api.example.com/v1', 'http://api.example.com/v1']);
+    });
+
+});
+
+describe('index/mock', () => {
+    let openapi;
+    let swagger;
+
+    before(async () => {
+        openapi = await Enforcer({
+            openapi: '3.0.0',
+            info: { title: '', version: '' },
+            paths: {
+                '/people/{id}': {
+                    parameters: [
+                        { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+                    ],
+                    get: {
+                        responses: {
+                            200: {
+                                description: '',
+                                headers: {
+                                    'x-count': { schema: { type: 'integer', minimum: 0, maximum: 10 } }
+                                },
+                                content: {
+                                    'application/json': {
+                                        schema: {
+                                            type: 'object',
+                                            required: ['name', 'birthday'],
+                                            properties: {
+                                                name: { type: 'string' },
+                                                birthday: { type: 'string', format: 'date' }
+                                            }
+                                        },
+                                        examples: {
+                                            bob: { value: { name: 'Bob', birthday: '2000-01-01' } },
+                                            jan: { value: { name: 'Jan', birthday: '2001-01-01' } }
+                                        }
+                                    },
+                                    'text/plain': {
+                                        schema: { type: 'string' },
+                                        example: 'Bob'
+                                    },
+                                    'text/html': {
+                                        schema: { type: 'string', enum: ['<b>Bob</b>'] }
+                                    }
+                                }
+                            },
+                            404: {
+                                description: '',
+                                content: {
+                                    'text/plain': {
+                                        schema: { type: 'string', enum: ['Not found'] }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        swagger = await Enforcer({
+            swagger: '2.0',
+            info: { title: '', version: '' },
+            produces: ['application/json', 'text/plain'],
+            paths: {
+                '/people': {
+                    get: {
+                        responses: {
+                            200: {
+                                description: '',
+                                schema: { type: 'string', format: 'date' },
+                                examples: {
+                                    'application/json': '2000-01-01'
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    });
+
+    it('produces a 404 for unknown paths', () => {
+        const [ , err ] = openapi.mock({ path: '/unknown' });
+        expect(err.statusCode).to.equal(404);
+    });
+
+    it('uses the first example', () => {
+        const [ value ] = openapi.mock({ path: '/people/1', headers: { accept: 'application/json' } });
+        expect(value.code).to.equal(200);
+        expect(value.headers['content-type']).to.equal('application/json');
+        expect(value.body).to.deep.equal({ name: 'Bob', birthday: '2000-01-01' });
+    });
+
+    it('uses the named example from the header', () => {
+        const [ value ] = openapi.mock({ path: '/people/1', headers: { accept: 'application/json', 'x-mock-example': 'jan' } });
+        expect(value.body.name).to.equal('Jan');
+    });
+
+    it('uses the named example from the query string', () => {
+        const [ value ] = openapi.mock({ path: '/people/1?mockExample=jan', headers: { accept: 'application/json' } });
+        expect(value.body.name).to.equal('Jan');
+    });
+
+    it('produces an error for an undefined example', () => {
+        const [ , err ] = openapi.mock({ path: '/people/1', headers: { accept: 'application/json' } }, { example: 'sam' });
+        expect(err.statusCode).to.equal(400);
+        expect(err).to.match(/Example not defined: sam/);
+    });
+
+    it('uses the example for the negotiated media type', () => {
+        const [ value ] = openapi.mock({ path: '/people/1', headers: { accept: 'text/plain' } });
+        expect(value.headers['content-type']).to.equal('text/plain');
+        expect(value.body).to.equal('Bob');
+    });
+
+    it('generates a random value without an example', () => {
+        const [ value ] = openapi.mock({ path: '/people/1', headers: { accept: 'text/html' } });
+        expect(value.body).to.equal('<b>Bob</b>');
+    });
+
+    it('generates random headers', () => {
+        const [ value ] = openapi.mock({ path: '/people/1', headers: { accept: 'text/html' } });
+        expect(value.headers['x-count']).to.match(/^\d+$/);
+    });
+
+    it('produces a 406 when no media type is acceptable', () => {
+        const [ , err ] = openapi.mock({ path: '/people/1', headers: { accept: 'application/xml' } });
+        expect(err.statusCode).to.equal(406);
+    });
+
+    it('uses the status code from the header', () => {
+        const [ value ] = openapi.mock({ path: '/people/1', headers: { 'x-mock-status': '404' } });
+        expect(value.code).to.equal(404);
+        expect(value.body).to.equal('Not found');
+    });
+
+    it('uses the status code from the query string', () => {
+        const [ value ] = openapi.mock({ path: '/people/1?mockStatus=404' });
+        expect(value.code).to.equal(404);
+    });
+
+    it('produces an error for an undefined status code', () => {
+        const [ , err ] = openapi.mock({ path: '/people/1' }, { statusCode: 500 });
+        expect(err).to.match(/Response code not defined for the operation: 500/);
+    });
+
+    it('produces a 400 for an invalid status code', () => {
+        const [ , err ] = openapi.mock({ path: '/people/1', headers: { 'x-mock-status': 'foo' } });
+        expect(err.statusCode).to.equal(400);
+        expect(err).to.match(/Invalid response code: foo/);
+    });
+
+    it('uses a defined code for a requested range', () => {
+        const [ value ] = openapi.mock({ path: '/people/1?mockStatus=2XX' });
+        expect(value.code).to.equal(200);
+    });
+
+    it('uses response code ranges', async () => {
+        const enforcer = await Enforcer({
+            openapi: '3.0.0',
+            info: { title: '', version: '' },
+            paths: {
+                '/': {
+                    get: {
+                        responses: {
+                            '2XX': { description: '', content: { 'text/plain': { example: 'ok' } } },
+                            '5XX': { description: '', content: { 'text/plain': { example: 'oops' } } }
+                        }
+                    }
+                }
+            }
+        });
+
+        let [ value ] = enforcer.mock({ path: '/' });
+        expect(value.code).to.equal(200);
+        expect(value.body).to.equal('ok');
+
+        [ value ] = enforcer.mock({ path: '/' }, { statusCode: 503 });
+        expect(value.code).to.equal(503);
+        expect(value.body).to.equal('oops');
+
+        [ value ] = enforcer.mock({ path: '/', headers: { 'x-mock-status': '5XX' } });
+        expect(value.code).to.equal(500);
+        expect(value.body).to.equal('oops');
+    });
+
+    it('uses the default response for a requested default', async () => {
+        const enforcer = await Enforcer({
+            openapi: '3.0.0',
+            info: { title: '', version: '' },
+            paths: {
+                '/': {
+                    get: {
+                        responses: {
+                            200: { description: '', content: { 'text/plain': { example: 'ok' } } },
+                            default: { description: '', content: { 'text/plain': { example: 'oops' } } }
+                        }
+                    }
+                }
+            }
+        });
+
+        let [ value ] = enforcer.mock({ path: '/?mockStatus=default' });
+        expect(value.code).to.equal(200);
+        expect(value.body).to.equal('oops');
+
+        [ value ] = enforcer.mock({ path: '/?mockStatus=4XX' });
+        expect(value.code).to.equal(400);
+        expect(value.body).to.equal('oops');
+
+        const [ , err ] = enforcer.mock({ path: '/', headers: { 'x-mock-status': 'foo' } });
+        expect(err.statusCode).to.equal(400);
+    });
+
+    it('uses v2 response examples', () => {
+        const [ value ] = swagger.mock({ path: '/people', headers: { accept: 'application/json' } });
+        expect(value.body).to.equal('2000-01-01');
+    });
+
+    it('generates a random value for v2 responses without a matching example', () => {
+        const [ value ] = swagger.mock({ path: '/people', headers: { accept: 'text/plain' } });
+        expect(value.headers['content-type']).to.equal('text/plain');
+        expect(value.body).to.match(/^\d{4}-\d{2}-\d{2}$/);
+    });
+
 });
@@ -0,0 +1,245 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Enforcer          = require('../index');
+const expect            = require('chai').expect;
+
+describe('middleware', () => {
+    let openapi;
+
+    before(async () => {
+        openapi = await Enforcer({
+            openapi: '3.0.0',
+            info: { title: '', version: '' },
+            paths: {
+                '/people/{id}': {
+                    get: {
+                        operationId: 'getPerson',
+                        parameters: [
+                            { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+                            { name: 'details', in: 'query', schema: { type: 'boolean' } }
+                        ],
+                        responses: {
+                            200: {
+                                description: '',
+                                content: {
+                                    'application/json': {
+                                        schema: {
+                                            type: 'object',
+                                            required: ['id'],
+                                            properties: {
+                                                id: { type: 'integer' },
+                                                birthday: { type: 'string', format: 'date' }
+                                            }
+                                        }
+                                    },
+                                    'text/plain': {
+                                        schema: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    put: {
+                        parameters: [
+                            { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+                        ],
+                        requestBody: {
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            birthday: { type: 'string', format: 'date' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        responses: {
+                            204: { description: '' }
+                        }
+                    }
+                }
+            }
+        });
+    });
+
+    it('requires an openapi object', () => {
+        expect(() => Enforcer.middleware()).to.throw(/Invalid openapi parameter/);
+    });
+
+    it('attaches the deserialized request to req', async () => {
+        const { req, error } = await run(Enforcer.middleware(openapi), { method: 'GET', originalUrl: '/people/12?details=true' });
+        expect(error).to.equal(undefined);
+        expect(req.openapi.path).to.deep.equal({ id: 12 });
+        expect(req.openapi.query).to.deep.equal({ details: true });
+        expect(req.openapi.operation).to.equal(openapi.paths['/people/{id}'].get);
+    });
+
+    it('deserializes the parsed body', async () => {
+        const { req, error } = await run(Enforcer.middleware(openapi), {
+            method: 'PUT',
+            originalUrl: '/people/12',
+            headers: { 'content-type': 'application/json', 'content-length': '27' },
+            body: { birthday: '2000-01-01' }
+        });
+        expect(error).to.equal(undefined);
+        expect(req.openapi.body.birthday).to.be.an.instanceof(Date);
+    });
+
+    it('ignores an empty parsed body', async () => {
+        const { req, error } = await run(Enforcer.middleware(openapi), { method: 'GET', originalUrl: '/people/12', body: {} });
+        expect(error).to.equal(undefined);
+        expect(req.openapi.body).to.equal(undefined);
+    });
+
+    it('responds with the exception status code for invalid requests', async () => {
+        const { res } = await run(Enforcer.middleware(openapi), { method: 'GET', originalUrl: '/people/abc' });
+        expect(res.statusCode).to.equal(400);
+        expect(res.body).to.match(/Expected an integer/);
+    });
+
+    it('responds with exception headers', async () => {
+        const { res } = await run(Enforcer.middleware(openapi), { method: 'POST', originalUrl: '/people/12' });
+        expect(res.statusCode).to.equal(405);
+        expect(res.headers.allow).to.equal('GET, PUT');
+        expect(res.body).to.match(/^Request has one or more errors\n/);
+    });
+
+    it('can pass invalid requests to next', async () => {
+        const { error } = await run(Enforcer.middleware(openapi, { handleErrors: false }), { method: 'GET', originalUrl: '/not-found' });
+        expect(error.statusCode).to.equal(404);
+        expect(error.exception).to.be.ok;
+    });
+
+    it('serializes the response sent with res.json', async () => {
+        const { res } = await run(Enforcer.middleware(openapi), { method: 'GET', originalUrl: '/people/12' });
+        res.json({ id: 12, birthday: new Date('2000-01-01T00:00:00.000Z') });
+        expect(res.body).to.equal('{"id":12,"birthday":"2000-01-01"}');
+    });
+
+    it('sets the content type from the accept header', async () => {
+        const { res } = await run(Enforcer.middleware(openapi), { method: 'GET', originalUrl: '/people/12', headers: { accept: 'text/plain' } });
+        res.send('Bob');
+        expect(res.headers['content-type']).to.equal('text/plain');
+        expect(res.body).to.equal('Bob');
+    });
+
+    it('passes an invalid response to next', async () => {
+        const { res, next } = await run(Enforcer.middleware(openapi), { method: 'GET', originalUrl: '/people/12' });
+        const errors = [];
+        next.handler = err => errors.push(err);
+        res.send({ birthday: new Date() });
+        expect(res.body).to.equal(undefined);
+        expect(errors[0].statusCode).to.equal(500);
+        expect(errors[0].message).to.match(/required properties missing: id/);
+    });
+
+    it('does not validate the response sent by the error handler', async () => {
+        const { res, next } = await run(Enforcer.middleware(openapi), { method: 'GET', originalUrl: '/people/12' });
+        const errors = [];
+        next.handler = err => {
+            errors.push(err);
+            res.statusCode = err.statusCode;
+            res.send('Internal server error');
+        };
+        res.send({ birthday: new Date() });
+        expect(errors.length).to.equal(1);
+        expect(res.statusCode).to.equal(500);
+        expect(res.headers['content-type']).to.equal('text/html');
+        expect(res.body).to.equal('Internal server error');
+    });
+
+    describe('controllers', () => {
+
+        it('routes to the controller by operationId', async () => {
+            const controllers = {
+                getPerson (req, res) {
+                    res.json({ id: req.openapi.path.id });
+                }
+            };
+            const { res, error } = await run(Enforcer.middleware(openapi, { controllers }), { method: 'GET', originalUrl: '/people/12' });
+            expect(error).to.equal(undefined);
+            expect(res.body).to.equal('{"id":12}');
+        });
+
+        it('calls next for operations without a controller', async () => {
+            const { called } = await run(Enforcer.middleware(openapi, { controllers: {} }), { method: 'GET', originalUrl: '/people/12' });
+            expect(called).to.equal(true);
+        });
+
+        it('passes controller rejections to next', async () => {
+            const controllers = {
+                getPerson: async () => { throw Error('Oops') }
+            };
+            const { error } = await run(Enforcer.middleware(openapi, { controllers }), { method: 'GET', originalUrl: '/people/12' });
+            expect(error.message).to.equal('Oops');
+        });
+
+    });
+
+});
+
+// run the middleware until it calls next or sends a response
+function run(mw, request) {
+    return new Promise(resolve => {
+        const req = Object.assign({ headers: {} }, request);
+        const res = response(() => resolve({ req, res, next, called: false }));
+        const next = function (err) {
+            if (next.handler) return next.handler(err);
+            resolve({ req, res, next, error: err, called: true });
+        };
+        mw(req, res, next);
+    });
+}
+
+// a minimal express like response object
+function response(onEnd) {
+    const res = {
+        body: undefined,
+        headers: {},
+        statusCode: 200,
+        end (body) {
+            res.body = body;
+            onEnd();
+        },
+        getHeader (key) {
+            return res.headers[key.toLowerCase()];
+        },
+        getHeaders () {
+            return Object.assign({}, res.headers);
+        },
+        json (body) {
+            if (!res.getHeader('content-type')) res.setHeader('content-type', 'application/json');
+            return res.send(JSON.stringify(body));
+        },
+        send (body) {
+            if (body && typeof body === 'object') return res.json(body);
+            if (!res.getHeader('content-type')) res.setHeader('content-type', 'text/html');
+            res.end(body);
+            return res;
+        },
+        removeHeader (key) {
+            delete res.headers[key.toLowerCase()];
+        },
+        setHeader (key, value) {
+            res.headers[key.toLowerCase()] = value;
+        }
+    };
+    return res;
+}
@@ -0,0 +1,149 @@
+/**
+ *  @license
+ *    Copyright 2018 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const runtimeExpression = require('../src/runtime-expression');
+
+describe('runtime expression', () => {
+    const context = {
+        method: 'POST',
+        statusCode: 201,
+        url: 'https://api.example.com/people?details=true',
+        request: {
+            body: { callbackUrl: 'https://client.example.com', 'a/b': { '~c': 1 }, list: ['x', 'y'] },
+            headers: { 'x-trace': 'abc' },
+            path: { id: 5 },
+            query: { details: true }
+        },
+        response: {
+            body: { id: 7, created: new Date('2000-01-01T00:00:00.000Z') },
+            headers: { Location: '/people/7' }
+        }
+    };
+
+    describe('parse', () => {
+
+        it('parses the url, method, and status code', () => {
+            expect(runtimeExpression.parse('$url')).to.deep.equal({ type: 'url', source: undefined, name: undefined, pointer: undefined });
+            expect(runtimeExpression.parse('$method')).to.have.property('type', 'method');
+            expect(runtimeExpression.parse('$statusCode')).to.have.property('type', 'statusCode');
+        });
+
+        it('parses request and response sources', () => {
+            expect(runtimeExpression.parse('$request.header.accept')).to.deep.equal({ type: 'request', source: 'header', name: 'accept', pointer: undefined });
+            expect(runtimeExpression.parse('$request.query.details')).to.have.property('name', 'details');
+            expect(runtimeExpression.parse('$request.path.id')).to.have.property('source', 'path');
+            expect(runtimeExpression.parse('$response.body#/id')).to.deep.equal({ type: 'response', source: 'body', name: undefined, pointer: '/id' });
+            expect(runtimeExpression.parse('$response.body')).to.have.property('source', 'body');
+        });
+
+        it('does not parse invalid expressions', () => {
+            [
+                'url',
+                '$uri',
+                '$url.path',
+                '$request',
+                '$request.cookie.a',
+                '$request.path',
+                '$request.header.a b',
+                '$request.body.id',
+                '$request.body#id',
+                '$request.body#/a~2',
+                '$response.query.a',
+                '$response.path.id'
+            ].forEach(expression => expect(runtimeExpression.parse(expression), expression).to.equal(undefined));
+        });
+
+    });
+
+    describe('evaluate', () => {
+
+        it('evaluates the url, method, and status code', () => {
+            expect(runtimeExpression.evaluate('$url', context).value).to.equal(context.url);
+            expect(runtimeExpression.evaluate('$method', context).value).to.equal('POST');
+            expect(runtimeExpression.evaluate('$statusCode', context).value).to.equal(201);
+        });
+
+        it('evaluates headers case insensitively', () => {
+            expect(runtimeExpression.evaluate('$request.header.X-Trace', context).value).to.equal('abc');
+            expect(runtimeExpression.evaluate('$response.header.location', context).value).to.equal('/people/7');
+        });
+
+        it('evaluates query and path parameters', () => {
+            expect(runtimeExpression.evaluate('$request.query.details', context).value).to.equal(true);
+            expect(runtimeExpression.evaluate('$request.path.id', context).value).to.equal(5);
+        });
+
+        it('evaluates the body and JSON pointers', () => {
+            expect(runtimeExpression.evaluate('$request.body', context).value).to.equal(context.request.body);
+            expect(runtimeExpression.evaluate('$request.body#/callbackUrl', context).value).to.equal('https://client.example.com');
+            expect(runtimeExpression.evaluate('$request.body#/a~1b/~0c', context).value).to.equal(1);
+            expect(runtimeExpression.evaluate('$request.body#/list/1', context).value).to.equal('y');
+            expect(runtimeExpression.evaluate('$response.body#/created', context).value).to.deep.equal(new Date('2000-01-01T00:00:00.000Z'));
+        });
+
+        it('produces an error for a missing value', () => {
+            const [ , error ] = runtimeExpression.evaluate('$request.body#/missing', context);
+            expect(error).to.match(/Unable to evaluate runtime expression: \$request\.body#\/missing\s+No value found/);
+        });
+
+        it('produces an error for an invalid expression', () => {
+            const [ , error ] = runtimeExpression.evaluate('$response.path.id', context);
+            expect(error).to.match(/Invalid runtime expression/);
+        });
+
+    });
+
+    describe('evaluateTemplate', () => {
+
+        it('replaces each embedded expression', () => {
+            const [ value ] = runtimeExpression.evaluateTemplate('{$request.body#/callbackUrl}/people/{$response.body#/id}?at={$response.body#/created}', context);
+            expect(value).to.equal('https://client.example.com/people/7?at=2000-01-01T00:00:00.000Z');
+        });
+
+        it('leaves curly braces that are not expressions', () => {
+            const [ value ] = runtimeExpression.evaluateTemplate('{$request.body#/callbackUrl}/{id}', context);
+            expect(value).to.equal('https://client.example.com/{id}');
+        });
+
+        it('produces an error for expressions that cannot be evaluated', () => {
+            const [ , error ] = runtimeExpression.evaluateTemplate('{$request.header.missing}', context);
+            expect(error).to.match(/\$request\.header\.missing\s+No value found/);
+        });
+
+    });
+
+    describe('getInvalidExpressions', () => {
+
+        it('checks a value that is an expression', () => {
+            expect(runtimeExpression.getInvalidExpressions('$request.path.id')).to.deep.equal([]);
+            expect(runtimeExpression.getInvalidExpressions('$request.id')).to.deep.equal(['$request.id']);
+        });
+
+        it('checks embedded expressions', () => {
+            expect(runtimeExpression.getInvalidExpressions('{$url}/a/{$bad}/{id}')).to.deep.equal(['$bad']);
+        });
+
+        it('ignores constants', () => {
+            expect(runtimeExpression.getInvalidExpressions('abc')).to.deep.equal([]);
+            expect(runtimeExpression.getInvalidExpressions(5)).to.deep.equal([]);
+            expect(runtimeExpression.getInvalidExpressions({ a: '$bad' })).to.deep.equal([]);
+        });
+
+    });
+
+});